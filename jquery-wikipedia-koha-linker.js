@@ -9,60 +9,881 @@
  * Version : 0.1-beta
  * License : GNU GPLv3+
  */
-(function($) {
+(function($, core) {
   'use strict';
   
-  // Plugin defaults
-  const defaults = {
-    apiUrl: 'https://en.wikipedia.org/w/api.php',
+  if (!core) {
+    $.error('wikipediaSearch needs wikipedia-koha-linker-core.js, load it before the plugin');
+  }
+  
+  // The matching itself lives in the core, which also runs outside the browser
+  const {
+    Matcher, Logger, LOG_LEVELS, types: entityTypes, registerType, detectScript, parseOverrides, overrideKey,
+    wikidataYear, uniqueValues
+  } = core;
+  
+  // Plugin defaults, on top of the core's matching defaults
+  const defaults = $.extend(true, {}, core.defaults, {
     selectors: {
       names: '.contributors span[property="name"]',
-      subjects: '.subject'
+      subjects: '.subject',
+      languages: '.results_summary.languages [class*="lang_code-"]',
+      authorityScope: '[typeof~="Person"], [typeof~="Organization"]', // Container whose links carry a name's authority identifiers
+      authorityLinks: 'a.authlink' // Koha's link to the authority record next to a heading
+    },
+    authorities: {
+      enabled: true,
+      kohaAuthorities: true, // Fetch linked Koha authority records and read identifiers from them
+      kohaAuthorityUrl: '/cgi-bin/koha/opac-authoritiesdetail.pl?marc=1&authid=',
+      getIdentifiers: null // function($element) returning extra [{ property: 'P244', value: 'n79021164' }]
     },
     linkClass: 'wp-search',
-    dataAttr: 'data-wp-title'
+    dataAttr: 'data-wp-title',
+    langAttr: 'data-wp-lang',
+    rejectedAttr: 'data-wp-rejected', // JSON list of { title, reason } for candidates that were turned down
+    scoreAttr: 'data-wp-score',
+    reasonsAttr: 'data-wp-reasons',
+    cache: {
+      enabled: true,
+      storage: 'localStorage', // 'localStorage', 'sessionStorage', 'memory' or a Storage-like object
+      prefix: 'wpsearch:',
+      version: '0.1-beta', // Bump to invalidate entries written by older versions
+      hitTtl: 7 * 24 * 60 * 60 * 1000, // Matched titles and non-empty results: one week
+      missTtl: 24 * 60 * 60 * 1000, // Explicit "no match" and empty results: one day
+      maxEntries: 500
+    },
+    requests: {
+      concurrency: 4, // Parallel requests to the MediaWiki API
+      timeout: 10000, // Per-request timeout in milliseconds
+      maxRetries: 3,
+      backoff: 1000, // Base delay for exponential backoff, in milliseconds
+      maxlag: 5 // Ask the API to refuse requests when replication lag is higher
+    },
+    statusAttr: 'data-wp-status',
+    variantAttr: 'data-wp-variant', // The other name a match was made under, when it wasn't the article title
+    pageType: 'auto', // Key of $.fn.wikipediaSearch.pageTypes whose selectors to use, or 'auto' to go by the <body> id
+    lazy: 'auto', // Process each record (selectors.records) only once it scrolls into view; 'auto' follows the page type
+    lazyMargin: '200px', // How far outside the viewport a record may be and still be processed
+    observe: false, // Watch for inserted content (AJAX tabs, "show more" toggles) and process it
+    previewAttr: 'data-wp-preview', // Set once Wikipedia Preview is hooked up to an element
+    // Callbacks, called with the element as `this` and the same detail as the wpsearch:* events
+    onMatch: null,
+    onNoMatch: null,
+    onError: null,
+    onComplete: null,
+    beforeApply: null, // function(match, detail) returning false to veto a match, or a replacement { title, lang }
+    linkMode: 'preview', // 'preview', 'anchor' (a real link to the article) or 'both'
+    articleLink: {
+      url: 'https://{lang}.wikipedia.org/wiki/{title}',
+      className: 'wp-article-link',
+      rel: 'external noopener',
+      target: null, // e.g. '_blank'
+      label: 'Wikipedia', // Text of the link added after a heading that is already a catalogue search link
+      description: 'Wikipedia article: {title}' // Read out by screen readers for every match
+    },
+    preview: {
+      provider: 'auto', // 'wikipedia-preview', 'builtin', 'auto' (wikipedia-preview when loaded) or false
+      theme: 'light', // 'light' or 'dark'
+      thumbnailWidth: 300,
+      summaryUrl: 'https://{lang}.wikipedia.org/api/rest_v1/page/summary/{title}', // Used by the built-in popup
+      popupClass: 'wp-popup',
+      labels: {
+        more: 'Read more on Wikipedia',
+        close: 'Close'
+      }
+    },
+    authorPanel: {
+      enabled: false, // Show a panel about the record's main author: the first name in selectors.names that matches
+      container: '#ulactioncontainer', // Where the panel goes, Koha's detail page sidebar by default
+      panelClass: 'wp-author-panel',
+      thumbnailWidth: 160,
+      searchUrl: '/cgi-bin/koha/opac-search.pl?q=au:{heading}', // Used when the name isn't a catalogue search link already
+      labels: {
+        panel: 'About {title}',
+        identifiers: 'Identifiers',
+        more: 'More by this author in our catalogue'
+      }
+    },
+    staff: {
+      enabled: false, // true, or 'auto' to turn on in Koha's staff interface (not for staff logged in to the OPAC)
+      storageKey: 'wpkoha-corrections', // localStorage key for the corrections made, outside the cache's prefix
+      controlClass: 'wp-staff-control',
+      menuClass: 'wp-staff-menu',
+      labels: {
+        control: 'Wikipedia link feedback',
+        wrong: 'Wrong link',
+        never: 'Never link',
+        pick: 'Link to "{title}"',
+        export: 'Export corrections'
+      }
+    }
+  });
+  
+  // Option callback for each event
+  const EVENT_CALLBACKS = {
+    match: 'onMatch',
+    nomatch: 'onNoMatch',
+    error: 'onError',
+    complete: 'onComplete'
   };
   
-  // Levenshtein distance calculator
-  function levenshteinDistance(a, b) {
-    if (a.length === 0) return b.length;
-    if (b.length === 0) return a.length;
-    const matrix = [];
-    // Initialize matrix
-    for (let i = 0; i <= b.length; i++) {
-      matrix[i] = [i];
+  // Koha OPAC pages, recognised by the id of their <body>, with the elements to
+  // process on each. `records` are the containers processed one by one in lazy mode.
+  const PAGE_TYPES = {
+    detail: {
+      bodyIds: ['opac-detail'],
+      selectors: {}
+    },
+    results: {
+      bodyIds: ['results'],
+      lazy: true,
+      selectors: {
+        records: '.searchresults tbody tr',
+        names: '.author a, .author span[property="name"]',
+        subjects: '.subject'
+      }
+    },
+    lists: {
+      bodyIds: ['opac-lists', 'opac-shelves', 'basket'],
+      lazy: true,
+      selectors: {
+        records: '.searchresults tbody tr, #itemst tbody tr',
+        names: '.author a, .author span[property="name"]',
+        subjects: '.subject'
+      }
+    },
+    isbd: {
+      bodyIds: ['opac-isbddetail'],
+      selectors: {
+        names: '#isbdcontents a[href*="q=au:"], #isbdcontents a[href*="idx=au"]',
+        subjects: '#isbdcontents a[href*="q=su:"], #isbdcontents a[href*="idx=su"]'
+      }
+    },
+    marc: {
+      bodyIds: ['opac-marcdetail'],
+      selectors: {
+        names: '#marcview a[href*="q=au:"], #marcview a[href*="idx=au"]',
+        subjects: '#marcview a[href*="q=su:"], #marcview a[href*="idx=su"]'
+      }
+    }
+  };
+  
+  // Shared cache instances, keyed by storage prefix and version
+  const lookupCaches = {};
+  
+  // Shared request queues, keyed by their options
+  const requestQueues = {};
+  
+  // Exact-title batchers shared by every instance, keyed by API URL
+  const titleBatchers = {};
+  
+  // Override tables fetched from a URL, shared by every instance
+  const overrideTables = {};
+  
+  // Lookups in progress, keyed like the cache, so that the same heading on many
+  // records of a results page is only looked up once
+  const pendingLookups = {};
+  
+  // Authority identifiers we can resolve through Wikidata, by property
+  const AUTHORITY_PATTERNS = [
+    { property: 'P244', pattern: /id\.loc\.gov\/authorities\/(?:names|subjects)\/([a-z]{1,3}\d+)/gi }, // LCNAF/LCSH
+    { property: 'P244', pattern: /\(DLC\)\s*([a-z]{1,3})\s*(\d+)/gi },
+    { property: 'P214', pattern: /viaf\.org\/viaf\/(\d+)/gi }, // VIAF
+    { property: 'P486', pattern: /id\.nlm\.nih\.gov\/mesh\/([A-Z]\d+)/gi } // MeSH
+  ];
+  
+  // Identifiers shown in the author panel, by Wikidata property
+  const PANEL_IDENTIFIERS = [
+    { property: 'P214', label: 'VIAF', url: 'https://viaf.org/viaf/{id}' },
+    { property: 'P244', label: 'LC', url: 'https://id.loc.gov/authorities/names/{id}.html' },
+    { property: 'P496', label: 'ORCID', url: 'https://orcid.org/{id}' }
+  ];
+  
+  // Koha authority record ids in catalogue and authority links
+  const KOHA_AUTHID_PATTERN = /(?:authid=|q=an:)(\d+)/;
+  
+  // MARC language codes (008/35-37, 041) to Wikipedia language codes
+  const MARC_LANGUAGES = {
+    eng: 'en', hin: 'hi', ben: 'bn', tam: 'ta', tel: 'te', mar: 'mr', guj: 'gu',
+    kan: 'kn', mal: 'ml', pan: 'pa', ori: 'or', asm: 'as', urd: 'ur', san: 'sa',
+    nep: 'ne', fre: 'fr', ger: 'de', spa: 'es', ita: 'it', por: 'pt', rus: 'ru',
+    jpn: 'ja', chi: 'zh', ara: 'ar', per: 'fa'
+  };
+  
+  // Collect authority identifiers mentioned in a piece of text or markup
+  function extractAuthorityIds(text) {
+    const ids = [];
+    
+    AUTHORITY_PATTERNS.forEach(({ property, pattern }) => {
+      let match;
+      pattern.lastIndex = 0;
+      while ((match = pattern.exec(text)) !== null) {
+        ids.push({ property: property, value: match.slice(1).join('') });
+      }
+    });
+    
+    return ids;
+  }
+  
+  // First string value of a Wikidata property, such as an identifier
+  function wikidataString(claims, property) {
+    const claim = claims && claims[property] && claims[property][0];
+    const value = claim && claim.mainsnak && claim.mainsnak.datavalue && claim.mainsnak.datavalue.value;
+    return typeof value === 'string' ? value : null;
+  }
+  
+  // Resolve the storage backend for the lookup cache
+  function resolveCacheStorage(storage) {
+    if (storage && typeof storage === 'object') {
+      return storage;
+    }
+    
+    if (storage === 'localStorage' || storage === 'sessionStorage') {
+      try {
+        const backend = window[storage];
+        const probe = '__wpsearch_probe__';
+        backend.setItem(probe, probe);
+        backend.removeItem(probe);
+        return backend;
+      } catch (e) {
+        // Storage disabled or full (e.g. private browsing), fall through to memory
+      }
+    }
+    
+    // In-memory storage, lives as long as the page
+    const items = {};
+    return {
+      getItem: (key) => (Object.prototype.hasOwnProperty.call(items, key) ? items[key] : null),
+      setItem: (key, value) => { items[key] = String(value); },
+      removeItem: (key) => { delete items[key]; },
+      key: (i) => Object.keys(items)[i] || null,
+      get length() { return Object.keys(items).length; }
+    };
+  }
+  
+  // How long reads and writes may batch up before the LRU index is written back (ms)
+  const INDEX_WRITE_DELAY = 1000;
+  
+  // Persistent key/value cache with per-entry TTL and LRU eviction
+  function LookupCache(options) {
+    this.options = options;
+    this.storage = resolveCacheStorage(options.storage);
+    this.namespace = options.prefix + options.version + ':';
+    this.indexKey = this.namespace + '__index';
+    this.purgeStaleVersions();
+    this.index = this.readIndex();
+    this.indexTimer = null;
+    
+    // Write a pending index out before the page goes away, so no entry is left out of it
+    window.addEventListener('pagehide', () => {
+      if (this.indexTimer) this.writeIndex();
+    });
+  }
+  
+  $.extend(LookupCache.prototype, {
+    get: function(key) {
+      const raw = this.storage.getItem(this.namespace + key);
+      if (raw === null) return undefined;
+      
+      let entry;
+      try {
+        entry = JSON.parse(raw);
+      } catch (e) {
+        this.remove(key);
+        return undefined;
+      }
+      
+      if (!entry || entry.expires < Date.now()) {
+        this.remove(key);
+        return undefined;
+      }
+      
+      // Mark as recently used; the index is written out in batches
+      this.index[key] = Date.now();
+      this.scheduleIndexWrite();
+      return entry.value;
+    },
+    
+    set: function(key, value, ttl) {
+      const entry = JSON.stringify({ value: value, expires: Date.now() + ttl });
+      
+      this.index[key] = Date.now();
+      this.evict();
+      
+      try {
+        this.storage.setItem(this.namespace + key, entry);
+      } catch (e) {
+        // Quota exceeded: drop the older half of the cache and try once more
+        this.evict(Math.floor(Object.keys(this.index).length / 2));
+        try {
+          this.storage.setItem(this.namespace + key, entry);
+        } catch (e2) {
+          delete this.index[key];
+        }
+      }
+      
+      this.scheduleIndexWrite();
+    },
+    
+    remove: function(key) {
+      this.storage.removeItem(this.namespace + key);
+      if (this.index[key]) {
+        delete this.index[key];
+        this.scheduleIndexWrite();
+      }
+    },
+    
+    // Remove every entry written by this plugin, whatever its version
+    clear: function() {
+      this.removeMatching((key) => key.indexOf(this.options.prefix) === 0);
+      this.index = {};
+      clearTimeout(this.indexTimer);
+      this.indexTimer = null;
+    },
+    
+    // Evict least recently used entries until the size cap (or `keep`) is respected
+    evict: function(keep) {
+      const limit = typeof keep === 'number' ? keep : this.options.maxEntries;
+      const keys = Object.keys(this.index);
+      if (keys.length <= limit) return;
+      
+      keys.sort((a, b) => this.index[a] - this.index[b]);
+      keys.slice(0, keys.length - limit).forEach(key => {
+        this.storage.removeItem(this.namespace + key);
+        delete this.index[key];
+      });
+    },
+    
+    purgeStaleVersions: function() {
+      this.removeMatching((key) => key.indexOf(this.options.prefix) === 0 && key.indexOf(this.namespace) !== 0);
+    },
+    
+    removeMatching: function(predicate) {
+      const keys = [];
+      for (let i = 0; i < this.storage.length; i++) {
+        const key = this.storage.key(i);
+        if (key !== null && predicate(key)) keys.push(key);
+      }
+      keys.forEach(key => this.storage.removeItem(key));
+    },
+    
+    readIndex: function() {
+      try {
+        return JSON.parse(this.storage.getItem(this.indexKey)) || {};
+      } catch (e) {
+        return {};
+      }
+    },
+    
+    // Write the index once a burst of reads and writes is over
+    scheduleIndexWrite: function() {
+      if (this.indexTimer) return;
+      this.indexTimer = setTimeout(() => this.writeIndex(), INDEX_WRITE_DELAY);
+    },
+    
+    writeIndex: function() {
+      clearTimeout(this.indexTimer);
+      this.indexTimer = null;
+      
+      try {
+        this.storage.setItem(this.indexKey, JSON.stringify(this.index));
+      } catch (e) {
+        // The index is rebuilt lazily, losing it only affects eviction order
+      }
+    }
+  });
+  
+  // Get the shared cache for a set of cache options
+  function getLookupCache(cacheOptions) {
+    const id = cacheOptions.prefix + cacheOptions.version;
+    if (!lookupCaches[id]) {
+      lookupCaches[id] = new LookupCache(cacheOptions);
     }
-    for (let j = 0; j <= a.length; j++) {
-      matrix[0][j] = j;
+    return lookupCaches[id];
+  }
+  
+  // A readable CSS path to an element, for reports
+  function elementPath(element) {
+    const path = [];
+    
+    for (let node = element; node && node.nodeType === 1 && node !== document.body; node = node.parentNode) {
+      if (node.id) {
+        path.unshift('#' + node.id);
+        break;
+      }
+      
+      const siblings = node.parentNode ? $(node.parentNode).children(node.tagName) : $(node);
+      const index = siblings.index(node);
+      path.unshift(node.tagName.toLowerCase() + (node.className ? '.' + String(node.className).trim().split(/\s+/).join('.') : '') +
+        (siblings.length > 1 ? `:nth-of-type(${index + 1})` : ''));
+    }
+    return path.join(' > ');
+  }
+  
+  // Offer a JSON file for download
+  function downloadJson(filename, json) {
+    const link = document.createElement('a');
+    
+    link.href = 'data:application/json;charset=utf-8,' + encodeURIComponent(json);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  }
+  
+  // For shared helpers that run without an instance's logger
+  const defaultLogger = new Logger(defaults.logLevel);
+  
+  // Host a request goes to, which is what a backoff applies to
+  function requestHost(url) {
+    try {
+      return new URL(url, window.location.href).host;
+    } catch (e) {
+      return url;
     }
-    // Fill in the rest of the matrix
-    for (let i = 1; i <= b.length; i++) {
-      for (let j = 1; j <= a.length; j++) {
-        if (b.charAt(i - 1) === a.charAt(j - 1)) {
-          matrix[i][j] = matrix[i - 1][j - 1];
+  }
+  
+  // Central queue for MediaWiki API requests: merges identical in-flight
+  // requests, caps concurrency and retries throttled requests with backoff
+  function RequestQueue(options) {
+    this.options = options;
+    this.pending = [];
+    this.inFlight = {};
+    this.active = 0;
+    this.pausedUntil = {}; // by host
+    this.timer = null;
+  }
+  
+  $.extend(RequestQueue.prototype, {
+    // Queue a GET request, returns a jQuery promise for the parsed JSON, or for
+    // the page when `dataType` is 'html' (such as a Koha authority record)
+    request: function(url, params, log, dataType) {
+      const key = url + '?' + $.param(params);
+      
+      // Share the result of an identical request that is already queued or running
+      if (this.inFlight[key]) {
+        return this.inFlight[key].promise();
+      }
+      
+      const deferred = $.Deferred();
+      this.inFlight[key] = deferred;
+      this.pending.push({
+        key: key,
+        url: url,
+        host: requestHost(url),
+        params: params,
+        dataType: dataType || 'json',
+        deferred: deferred,
+        attempt: 0,
+        log: log || defaultLogger
+      });
+      this.next();
+      
+      return deferred.promise();
+    },
+    
+    next: function() {
+      const now = Date.now();
+      let wait = Infinity;
+      
+      // Requests to a host that asked us to back off wait, the others go ahead
+      for (let i = 0; i < this.pending.length && this.active < this.options.concurrency; i++) {
+        const paused = (this.pausedUntil[this.pending[i].host] || 0) - now;
+        if (paused > 0) {
+          wait = Math.min(wait, paused);
+          continue;
+        }
+        this.run(this.pending.splice(i--, 1)[0]);
+      }
+      
+      // Resume once the first pause is over
+      clearTimeout(this.timer);
+      this.timer = wait !== Infinity ? setTimeout(() => {
+        this.timer = null;
+        this.next();
+      }, wait) : null;
+    },
+    
+    run: function(task) {
+      const data = $.extend({}, task.params);
+      // maxlag is a MediaWiki API parameter
+      if (this.options.maxlag && task.dataType === 'json') {
+        data.maxlag = this.options.maxlag;
+      }
+      
+      this.active++;
+      
+      $.ajax({
+        url: task.url,
+        data: data,
+        dataType: task.dataType,
+        timeout: this.options.timeout
+      }).done((response, textStatus, jqXHR) => {
+        if (response && response.error && response.error.code === 'maxlag') {
+          this.retry(task, jqXHR, { status: 'maxlag', message: response.error.info });
+        } else if (response && response.error) {
+          this.finish(task, false, { status: 'api', message: response.error.info || response.error.code });
         } else {
-          matrix[i][j] = Math.min(
-            matrix[i - 1][j - 1] + 1, // substitution
-            matrix[i][j - 1] + 1,     // insertion
-            matrix[i - 1][j] + 1      // deletion
-          );
+          this.finish(task, true, response);
         }
+      }).fail((jqXHR, textStatus, errorThrown) => {
+        const error = { status: jqXHR.status || textStatus, message: errorThrown || textStatus };
+        
+        // Throttling, temporary unavailability and timeouts are worth another try
+        if (jqXHR.status === 429 || jqXHR.status === 503 || textStatus === 'timeout') {
+          this.retry(task, jqXHR, error);
+        } else {
+          this.finish(task, false, error);
+        }
+      });
+    },
+    
+    retry: function(task, jqXHR, error) {
+      if (task.attempt >= this.options.maxRetries) {
+        error.attempts = task.attempt + 1;
+        this.finish(task, false, error);
+        return;
+      }
+      
+      // Honour Retry-After (in seconds) when given, otherwise back off exponentially
+      const retryAfter = jqXHR && jqXHR.getResponseHeader ? parseInt(jqXHR.getResponseHeader('Retry-After'), 10) : NaN;
+      const delay = !isNaN(retryAfter) ? retryAfter * 1000 : this.options.backoff * Math.pow(2, task.attempt);
+      
+      task.log.info(`Retrying request to ${task.host} in ${delay}ms (${error.status})`);
+      
+      task.attempt++;
+      this.pausedUntil[task.host] = Math.max(this.pausedUntil[task.host] || 0, Date.now() + delay);
+      this.pending.unshift(task);
+      this.active--;
+      this.next();
+    },
+    
+    finish: function(task, success, result) {
+      delete this.inFlight[task.key];
+      this.active--;
+      
+      if (success) {
+        task.deferred.resolve(result);
+      } else {
+        task.deferred.reject(result);
       }
+      
+      this.next();
+    }
+  });
+  
+  // Get the shared request queue for a set of request options
+  function getRequestQueue(requestOptions) {
+    const id = JSON.stringify(requestOptions);
+    if (!requestQueues[id]) {
+      requestQueues[id] = new RequestQueue(requestOptions);
     }
-    return matrix[b.length][a.length];
+    return requestQueues[id];
   }
   
-  // Calculate string similarity percentage
-  function stringSimilarity(a, b) {
-    const distance = levenshteinDistance(a, b);
-    const maxLength = Math.max(a.length, b.length);
-    return ((maxLength - distance) / maxLength) * 100;
+  // Corrections made in staff mode, kept in localStorage as override rules
+  function loadCorrections(storageKey) {
+    try {
+      return JSON.parse(window.localStorage.getItem(storageKey)) || [];
+    } catch (e) {
+      return [];
+    }
   }
   
+  // Add a correction, replacing an earlier one for the same heading. Titles marked
+  // wrong add up until a title is picked or the heading is suppressed.
+  function saveCorrection(storageKey, correction, log) {
+    const sameHeading = rule => overrideKey(rule.match) === overrideKey(correction.match) && rule.type === correction.type;
+    const corrections = loadCorrections(storageKey);
+    const earlier = corrections.find(sameHeading);
+    
+    if (correction.exclude && earlier && earlier.exclude) {
+      correction.exclude = uniqueValues(earlier.exclude.concat(correction.exclude));
+    }
+    
+    const updated = corrections.filter(rule => !sameHeading(rule)).concat([correction]);
+    try {
+      window.localStorage.setItem(storageKey, JSON.stringify(updated));
+    } catch (e) {
+      (log || defaultLogger).error('Could not save Wikipedia link correction:', e);
+    }
+    return updated;
+  }
+  
+  // Whether the plugin runs in Koha's staff interface (IntranetUserJS) rather than the OPAC
+  function isStaffInterface() {
+    return /\/cgi-bin\/koha\/(?!opac-)/.test(window.location.pathname) && !/^opac-/.test(document.body ? document.body.id : '');
+  }
+  
+  // Resolve the overrides option to a promise for its rules, fetching a URL only once
+  function loadOverrides(overrides, log) {
+    if (typeof overrides !== 'string') {
+      return Promise.resolve(parseOverrides(overrides, log));
+    }
+    
+    if (!overrideTables[overrides]) {
+      overrideTables[overrides] = Promise.resolve($.ajax({ url: overrides, dataType: 'json' })).then(rules => parseOverrides(rules, log), (error) => {
+        (log || defaultLogger).error(`Could not load overrides from ${overrides}:`, error);
+        return [];
+      });
+    }
+    return overrideTables[overrides];
+  }
+  
+  // Page type for the pageType option, as { name, lazy, selectors }, or null
+  function getPageType(pageType) {
+    const pageTypes = $.fn.wikipediaSearch.pageTypes;
+    const bodyId = document.body ? document.body.id : '';
+    const name = pageType === 'auto' ? Object.keys(pageTypes).find(key => pageTypes[key].bodyIds.indexOf(bodyId) >= 0) : pageType;
+    
+    return name && pageTypes[name] ? $.extend({ name: name }, pageTypes[name]) : null;
+  }
+  
+  // Colours of the built-in popup per theme
+  const POPUP_THEMES = {
+    light: { background: '#fff', color: '#202122', border: '#a2a9b1', link: '#3366cc' },
+    dark: { background: '#202122', color: '#eaecf0', border: '#54595d', link: '#88a3e8' }
+  };
+  
+  // Page summaries from the REST API, fetched once per URL
+  const summaries = {};
+  
+  function fetchSummary(url) {
+    if (!summaries[url]) {
+      summaries[url] = Promise.resolve($.ajax({ url: url, dataType: 'json' })).catch((error) => {
+        delete summaries[url];
+        throw error;
+      });
+    }
+    return summaries[url];
+  }
+  
+  // Built-in preview popup, used when the wikipedia-preview library isn't
+  // available. One popup is shared by every instance on the page.
+  function PreviewPopup() {
+    this.$popup = null;
+    this.anchor = null;
+    this.showTimer = null;
+    this.hideTimer = null;
+  }
+  
+  $.extend(PreviewPopup.prototype, {
+    // Show after a short delay, so that moving the pointer across a link doesn't open it
+    schedule: function(anchor, options) {
+      clearTimeout(this.hideTimer);
+      clearTimeout(this.showTimer);
+      
+      if (this.anchor === anchor || this.dismissed === anchor) return;
+      this.showTimer = setTimeout(() => this.show(anchor, options), 300);
+    },
+    
+    scheduleHide: function() {
+      this.dismissed = null;
+      clearTimeout(this.showTimer);
+      clearTimeout(this.hideTimer);
+      this.hideTimer = setTimeout(() => this.hide(), 300);
+    },
+    
+    toggle: function(anchor, options) {
+      if (this.anchor === anchor) {
+        this.hide();
+      } else {
+        this.show(anchor, options);
+      }
+    },
+    
+    show: function(anchor, options) {
+      this.anchor = anchor;
+      
+      return fetchSummary(options.url).then((data) => {
+        if (this.anchor !== anchor) return;
+        
+        this.render(data, options);
+        this.position(anchor);
+      }, (error) => {
+        if (this.anchor === anchor) this.anchor = null;
+        options.log.error(`Could not load the summary of "${options.title}":`, error);
+      });
+    },
+    
+    render: function(data, options) {
+      const colours = POPUP_THEMES[options.theme] || POPUP_THEMES.light;
+      
+      this.remove();
+      
+      const $popup = $('<div role="dialog">')
+        .addClass(options.popupClass + ' ' + options.popupClass + '-' + options.theme)
+        .attr({ 'aria-label': data.title, lang: data.lang || options.lang, dir: data.dir || 'auto' })
+        .css({
+          position: 'absolute',
+          zIndex: 10000,
+          boxSizing: 'border-box',
+          width: options.thumbnailWidth + 40,
+          maxWidth: 'calc(100vw - 16px)',
+          padding: '12px 16px',
+          background: colours.background,
+          color: colours.color,
+          border: '1px solid ' + colours.border,
+          borderRadius: '2px',
+          boxShadow: '0 2px 8px rgba(0, 0, 0, 0.25)',
+          fontSize: '14px',
+          lineHeight: 1.5,
+          textAlign: 'start'
+        });
+      
+      $('<button type="button">')
+        .addClass(options.popupClass + '-close')
+        .attr('aria-label', options.labels.close)
+        .text('\u00d7')
+        .css({ float: 'right', border: 0, background: 'none', color: 'inherit', fontSize: '18px', cursor: 'pointer' })
+        .on('click', () => this.hide())
+        .appendTo($popup);
+      
+      if (data.thumbnail && data.thumbnail.source) {
+        $('<img alt="">')
+          .addClass(options.popupClass + '-thumbnail')
+          .attr('src', data.thumbnail.source)
+          .css({ display: 'block', maxWidth: '100%', width: Math.min(options.thumbnailWidth, data.thumbnail.width || options.thumbnailWidth), margin: '0 auto 8px' })
+          .appendTo($popup);
+      }
+      
+      $('<strong>').addClass(options.popupClass + '-title').text(data.title).appendTo($popup);
+      $('<p>').addClass(options.popupClass + '-extract').text(data.extract || '').css({ margin: '8px 0' }).appendTo($popup);
+      
+      if (data.content_urls && data.content_urls.desktop) {
+        $('<a target="_blank" rel="noopener">')
+          .addClass(options.popupClass + '-link')
+          .attr('href', data.content_urls.desktop.page)
+          .text(options.labels.more)
+          .css({ color: colours.link })
+          .appendTo($popup);
+      }
+      
+      // Keep the popup open while the pointer or focus is in it
+      $popup
+        .on('mouseenter focusin', () => clearTimeout(this.hideTimer))
+        .on('mouseleave focusout', () => this.scheduleHide());
+      
+      this.$popup = $popup.appendTo(document.body);
+      this.listen();
+    },
+    
+    // Below the element, or above it when there isn't room below, kept within the viewport
+    position: function(anchor) {
+      const $anchor = $(anchor);
+      const $window = $(window);
+      const offset = $anchor.offset();
+      const width = this.$popup.outerWidth();
+      const height = this.$popup.outerHeight();
+      const below = offset.top + $anchor.outerHeight() + 6;
+      const fitsBelow = below + height <= $window.scrollTop() + $window.height();
+      
+      this.$popup.css({
+        top: fitsBelow || offset.top - height - 6 < $window.scrollTop() ? below : offset.top - height - 6,
+        left: Math.max($window.scrollLeft() + 8, Math.min(offset.left, $window.scrollLeft() + $window.width() - width - 8))
+      });
+    },
+    
+    // Close on Escape and on a click outside the popup and its element
+    listen: function() {
+      $(document)
+        .on('keydown.wpsearchPopup', (event) => {
+          if (event.key === 'Escape') {
+            const anchor = this.anchor;
+            const focusInPopup = $.contains(this.$popup[0], document.activeElement);
+            
+            this.hide();
+            if (focusInPopup) {
+              // Focusing the element again mustn't reopen the popup
+              this.dismissed = anchor;
+              $(anchor).closest('a[href], [tabindex]').add($(anchor).find('a[href]')).first().trigger('focus');
+            }
+          }
+        })
+        .on('mousedown.wpsearchPopup', (event) => {
+          if (this.$popup && !$(event.target).closest(this.$popup).length && !$(event.target).closest(this.anchor).length) {
+            this.hide();
+          }
+        });
+    },
+    
+    remove: function() {
+      $(document).off('.wpsearchPopup');
+      
+      if (this.$popup) {
+        this.$popup.remove();
+        this.$popup = null;
+      }
+    },
+    
+    hide: function() {
+      clearTimeout(this.showTimer);
+      clearTimeout(this.hideTimer);
+      this.remove();
+      this.anchor = null;
+    }
+  });
+  
+  // Path of an article as MediaWiki writes it, e.g. AC/DC or Category:Botany
+  function articlePath(title) {
+    return encodeURIComponent(title.replace(/ /g, '_')).replace(/%2F/g, '/').replace(/%3A/g, ':');
+  }
+  
+  let previewPopup = null;
+  
+  function getPreviewPopup() {
+    if (!previewPopup) {
+      previewPopup = new PreviewPopup();
+    }
+    return previewPopup;
+  }
+  
+  // The plugin's side of the built-in types: the elements processed as each
+  // type. Selectors are called with the plugin instance as `this`.
+  registerType('name', {
+    selector: settings => settings.selectors.names
+  });
+  
+  registerType('subject', {
+    selector: settings => settings.selectors.subjects
+  });
+  
   // Plugin constructor
   function WikipediaSearch(element, options) {
     this.element = element;
-    this.settings = $.extend({}, defaults, options);
+    this.options = options;
+    
+    // Page type selectors sit between the defaults and the caller's options
+    this.pageType = getPageType((options && options.pageType) || defaults.pageType);
+    this.settings = $.extend(true, {}, defaults, this.pageType ? { selectors: this.pageType.selectors } : {}, options);
+    this.log = new Logger(this.settings.logLevel);
+    this.traces = [];
+    this.cache = this.settings.cache.enabled ? getLookupCache(this.settings.cache) : null;
+    this.queue = getRequestQueue(this.settings.requests);
+    // Overrides are loaded below, together with the staff corrections
+    this.matcher = new Matcher($.extend({}, this.settings, {
+      interfaceLanguage: this.settings.interfaceLanguage || document.documentElement.lang || null,
+      overrides: null
+    }), {
+      fetch: (url, params, log) => this.queue.request(url, params, log),
+      cache: this.cache ? {
+        get: key => this.cache.get(key),
+        set: (key, value, found) => this.cache.set(key, value, found ? this.settings.cache.hitTtl : this.settings.cache.missTtl)
+      } : null,
+      log: this.log,
+      trace: (target, step, data) => this.trace(target, step, data),
+      batchers: titleBatchers,
+      lookups: pendingLookups,
+      host: this.elementHost()
+    });
+    this.staff = this.settings.staff.enabled === 'auto' ? isStaffInterface() : !!this.settings.staff.enabled;
+    this.staffControls = [];
+    this.articleLinks = [];
+    this.describedLinks = [];
+    this.overridesLoaded = loadOverrides(this.settings.overrides, this.log).then((rules) => {
+      this.overrideRules = rules;
+      this.updateOverrides();
+    });
     this.searchPromises = []; // Track all search promises
     this.init();
   }
@@ -70,764 +891,926 @@
   // Plugin methods
   $.extend(WikipediaSearch.prototype, {
     init: function() {
-      const self = this;
       const $element = $(this.element);
+      const lazy = this.settings.lazy === 'auto' ? !!(this.pageType && this.pageType.lazy) : this.settings.lazy;
+      
+      this.matcher.recordLanguages = this.detectRecordLanguages();
+      this.processed = [];
+      this.observed = [];
       
-      // Process names
-      $element.find(this.settings.selectors.names).each(function() {
-        const promise = self.processName($(this).text(), $(this));
-        self.searchPromises.push(promise);
+      // On results and lists pages, wait for each record to come into view
+      this.lazy = !!(lazy && this.settings.selectors.records && typeof window.IntersectionObserver === 'function');
+      
+      if (this.lazy) {
+        this.observeRecords($element.find(this.settings.selectors.records));
+      } else {
+        this.processWithin($element).then(() => this.renderAuthorPanel());
+      }
+      
+      if (this.settings.observe && typeof window.MutationObserver === 'function') {
+        this.observeMutations();
+      }
+    },
+    
+    // Process content added since the last scan
+    rescan: function() {
+      const $element = $(this.element);
+      
+      if (this.lazy) {
+        this.observeRecords($element.find(this.settings.selectors.records));
+        return Promise.resolve();
+      }
+      return this.processWithin($element).then(() => {
+        this.initWikipediaPreview(this.element);
       });
+    },
+    
+    // Undo every change made to the page and start over
+    refresh: function() {
+      const element = this.element;
+      const options = this.options;
+      
+      this.destroy();
+      $(element).wikipediaSearch(options);
+    },
+    
+    // Restore the original markup of every processed element and stop watching the page
+    destroy: function() {
+      this.destroyed = true;
+      
+      if (this.observer) this.observer.disconnect();
+      if (this.mutationObserver) this.mutationObserver.disconnect();
+      clearTimeout(this.rescanTimer);
       
-      // Process subjects
-      $element.find(this.settings.selectors.subjects).each(function() {
-        const promise = self.processSubject($(this).text(), $(this));
-        self.searchPromises.push(promise);
+      this.staffControls.forEach($control => $control.next('.' + this.settings.staff.menuClass).addBack().remove());
+      this.staffControls = [];
+      
+      if (this.$authorPanel) this.$authorPanel.remove();
+      this.$authorPanel = null;
+      
+      this.articleLinks.forEach($link => $link.remove());
+      this.articleLinks = [];
+      this.describedLinks.forEach((link) => {
+        const original = $.data(link, 'plugin_wikipediaSearch_description');
+        $(link).attr('aria-description', original || null);
+        $.removeData(link, 'plugin_wikipediaSearch_description');
+        $.removeData(link, 'plugin_wikipediaSearch_descriptions');
       });
+      this.describedLinks = [];
+      
+      $(this.element).off('.wpsearch');
+      if (previewPopup && previewPopup.anchor && $.contains(this.element, previewPopup.anchor)) {
+        previewPopup.hide();
+      }
+      
+      this.processed.forEach(element => this.restoreElement(element));
+      this.processed = [];
+      this.observed = [];
+      
+      $.removeData(this.element, 'plugin_wikipediaSearch');
     },
     
-    processName: function(name, $elementToStyle) {
-      // Create a promise for this operation
-      return new Promise((resolve) => {
-        // Check if the name contains a comma (indicating lastName, firstName format)
-        if (name.includes(',')) {
-          const parts = name.split(',');
-          if (parts.length === 2) {
-            const lastName = parts[0].trim();
-            const firstAndMiddleNames = parts[1].trim();
-            
-            // Create search term in firstName lastName format
-            const searchTerm = firstAndMiddleNames + ' ' + lastName;
-            console.log("Searching Wikipedia for name:", searchTerm);
-            
-            // Return the promise from searchWikipediaForName
-            this.searchWikipediaForName(searchTerm, lastName, firstAndMiddleNames, $elementToStyle, name)
-              .then(resolve);
-          } else {
-            // If there are multiple commas, treat as a subject
-            this.processSubject(name, $elementToStyle).then(resolve);
-          }
-        } else {
-          // If no comma, treat as a subject
-          this.processSubject(name, $elementToStyle).then(resolve);
-        }
+    // Keep an element's markup and attributes as they were before processing
+    saveElement: function(element) {
+      $.data(element, 'plugin_wikipediaSearch_original', {
+        html: element.innerHTML,
+        attributes: $.map(element.attributes, attribute => ({ name: attribute.name, value: attribute.value }))
       });
     },
     
-    processSubject: function(subject, $elementToStyle) {
-      return new Promise((resolve) => {
-        // Get the original text
-        const originalText = $elementToStyle.text();
-        
-        // Split the subject heading into components based on " -- " delimiter
-        const components = originalText.split(/\s+--\s+/);
-        
-        // If there's only one component, process it using the existing method
-        if (components.length === 1) {
-          this.processSubjectComponent(originalText, $elementToStyle)
-            .then(resolve);
-          return;
-        }
-        
-        // Create a container to hold our processed components
-        const $container = $('<span>');
-        
-        // Process each component separately
-        const componentPromises = [];
-        
-        for (let i = 0; i < components.length; i++) {
-          const component = components[i];
-          
-          // Add separator between components
-          if (i > 0) {
-            $container.append(' -- ');
-          }
-          
-          // Create a span for this component
-          const $componentSpan = $('<span>').text(component);
-          $container.append($componentSpan);
-          
-          // Process this component and collect the promise
-          const promise = this.processSubjectComponent(component, $componentSpan);
-          componentPromises.push(promise);
-        }
-        
-        // Replace the original element's content with our processed container
-        $elementToStyle.html($container);
+    restoreElement: function(element) {
+      const original = $.data(element, 'plugin_wikipediaSearch_original');
+      if (!original) return;
+      
+      $.map(element.attributes, attribute => attribute.name).forEach(name => element.removeAttribute(name));
+      original.attributes.forEach(attribute => element.setAttribute(attribute.name, attribute.value));
+      element.innerHTML = original.html;
+      
+      $.removeData(element, 'plugin_wikipediaSearch_original');
+    },
+    
+    // Rescan shortly after elements are inserted, once a burst of insertions is over
+    observeMutations: function() {
+      this.mutationObserver = new window.MutationObserver((mutations) => {
+        const inserted = mutations.some(mutation => Array.prototype.some.call(mutation.addedNodes, node => node.nodeType === 1 && !this.isOwnNode(node)));
+        if (!inserted) return;
         
-        // Wait for all component promises to resolve
-        Promise.all(componentPromises).then(resolve);
+        clearTimeout(this.rescanTimer);
+        this.rescanTimer = setTimeout(() => this.rescan(), 100);
       });
+      
+      this.mutationObserver.observe(this.element, { childList: true, subtree: true });
     },
     
-    processSubjectComponent: function(component, $componentElement) {
-      return new Promise((resolve) => {
-        // Check if component has parenthetical information
-        const parenthesesMatch = component.match(/^(.*?)\s*\(([^)]+)\)$/);
+    // Whether the plugin put a node on the page itself: markup inside a processed
+    // heading, or one of its links, controls, panels and popups
+    isOwnNode: function(node) {
+      const settings = this.settings;
+      const classes = [settings.articleLink.className, settings.staff.controlClass, settings.staff.menuClass,
+        settings.authorPanel.panelClass, settings.preview.popupClass];
+      
+      return this.processed.some(element => element === node || $.contains(element, node)) ||
+        $(node).is(classes.map(name => '.' + name).join(', '));
+    },
+    
+    // Process the elements of every registered type inside $root, each element only once
+    processWithin: function($root) {
+      const promises = [];
+      const scanned = [];
+      const found = [];
+      
+      Object.keys(entityTypes).forEach(name => {
+        const selector = this.getTypeSelector(name);
+        if (!selector) return;
         
-        if (parenthesesMatch) {
-          // We have main text and parenthetical text
-          const mainText = parenthesesMatch[1].trim();
-          const parentheticalText = parenthesesMatch[2].trim();
-          
-          // Create a container for this component
-          const $container = $('<span>');
-          
-          // Create spans for main text and parenthetical text
-          const $mainSpan = $('<span>').text(mainText);
-          const $parentheticalSpan = $('<span>').text(parentheticalText);
-          
-          // Add them to the container
-          $container.append($mainSpan);
-          $container.append(' (');
-          $container.append($parentheticalSpan);
-          $container.append(')');
-          
-          // Replace the component element's content
-          $componentElement.html($container);
-          
-          const promises = [];
-          
-          // Process the main text
-          if (this.looksLikePersonName(mainText)) {
-            promises.push(this.processPersonNameComponent(mainText, $mainSpan));
-          } else {
-            promises.push(this.searchWikipediaForSubjectComponent(mainText, $mainSpan));
-          }
-          
-          // Check if parenthetical text is a year/date range or an acronym
-          if (/^[\d\s\-–—.,\/]+$/.test(parentheticalText)) {
-            // It's a year or date range
-            promises.push(this.processYearOrDateRange(parentheticalText, $parentheticalSpan));
-          } else {
-            // It's likely an acronym or abbreviation
-            promises.push(this.searchWikipediaForAcronym(parentheticalText, $parentheticalSpan));
-          }
-          
-          Promise.all(promises).then(resolve);
-        } else if (this.looksLikePersonName(component)) {
-          // This component looks like a person's name
-          this.processPersonNameComponent(component, $componentElement).then(resolve);
-        } else {
-          // Regular subject component
-          this.searchWikipediaForSubjectComponent(component, $componentElement).then(resolve);
-        }
+        $root.find(selector).each(function() {
+          found.push({ name: name, element: this });
+        });
+      });
+      
+      // When selectors match both a heading and an element inside it (Koha's link
+      // around a span[property="name"]), only the innermost one is processed
+      const elements = found.map(entry => entry.element);
+      const nested = (element) => elements.some(other => other !== element && $.contains(element, other)) ||
+        this.processed.some(other => other !== element && ($.contains(element, other) || $.contains(other, element)));
+      
+      found.forEach(({ name, element }) => {
+        if (this.processed.indexOf(element) >= 0 || nested(element)) return;
+        this.processed.push(element);
+        scanned.push(element);
+        this.saveElement(element);
+        
+        // Result lists keep the ISBD punctuation after a heading ("Tagore, Rabindranath,")
+        const text = $(element).text().trim().replace(/\s*[,;:\/]$/, '');
+        promises.push(this.processType(name, text, $(element)));
       });
-    },
-    
-    processPersonNameComponent: function(nameText, $nameElement) {
-      return new Promise((resolve) => {
-        const parts = nameText.split(',');
-        const lastName = parts[0].trim();
-        const firstAndMiddleNames = parts.length > 1 ? parts[1].trim() : '';
+      
+      this.searchPromises.push.apply(this.searchPromises, promises);
+      
+      // Report the first scan, and any later one that found something, as complete
+      return Promise.all(promises).then(() => {
+        if (this.destroyed || (this.completed && scanned.length === 0)) return;
+        this.completed = true;
         
-        // Create search term in firstName lastName format
-        const searchTerm = firstAndMiddleNames + ' ' + lastName;
+        // An element counts as matched if it or any of its components was linked
+        const match = `[${this.settings.statusAttr}="match"]`;
+        const matched = scanned.filter(element => $(element).is(match) || $(element).find(match).length > 0);
         
-        this.searchWikipediaForName(searchTerm, lastName, firstAndMiddleNames, $nameElement, nameText)
-          .then(resolve);
+        this.notify('complete', { element: $root[0], elements: scanned, matched: matched });
       });
     },
     
-    searchWikipediaForSubjectComponent: function(subject, $elementToStyle) {
-      return new Promise((resolve) => {
-        // Check if subject contains parentheses (fallback for any we missed)
-        const parenthesesMatch = subject.match(/\(([^)]+)\)/);
-        
-        if (parenthesesMatch) {
-          // Use the existing method for backward compatibility
-          this.processSubjectComponent(subject, $elementToStyle).then(resolve);
-          return;
-        }
+    // Process each record once it is within lazyMargin of the viewport, then
+    // hook the previews up inside it
+    observeRecords: function($records) {
+      this.observer = this.observer || new window.IntersectionObserver((entries) => {
+        entries.forEach((entry) => {
+          if (!entry.isIntersecting) return;
+          
+          this.observer.unobserve(entry.target);
+          this.processWithin($(entry.target)).then(() => {
+            this.initWikipediaPreview(entry.target);
+          });
+        });
+      }, { rootMargin: this.settings.lazyMargin });
+      
+      $records.each((i, record) => {
+        if (this.observed.indexOf(record) >= 0) return;
         
-        // Search Wikipedia for this subject
-        this.searchWikipedia(subject, $elementToStyle, subject).then(resolve);
+        this.observed.push(record);
+        this.observer.observe(record);
       });
     },
     
-    // Check if a string looks like a person's name (LastName, FirstName)
-    looksLikePersonName: function(text) {
-      // Simple heuristic: contains one comma and no digits
-      return text.split(',').length === 2 && !/\d/.test(text);
+    // Selector for the elements of a type: the `selectors` option wins over the registration
+    getTypeSelector: function(name) {
+      const type = entityTypes[name];
+      
+      if (this.settings.selectors[name]) {
+        return this.settings.selectors[name];
+      }
+      return typeof type.selector === 'function' ? type.selector.call(this, this.settings) : type.selector;
     },
     
-    processYearOrDateRange: function(text, $elementToStyle) {
-      return new Promise((resolve) => {
-        const self = this;
-        
-        // Extract years from the date range
-        const years = this.extractYearsFromDateRange(text);
-        
-        if (years.length > 0) {
-          // Create a new element to replace the original
-          const $newElement = $('<span>');
-          
-          // Get the original text
-          const originalText = $elementToStyle.text();
-          
-          // Find the positions of years in the original text
-          let lastIndex = 0;
-          let currentPos = 0;
-          
-          const yearPromises = [];
-          
-          years.forEach(year => {
-            // Find the position of this year in the original text, starting from lastIndex
-            currentPos = originalText.indexOf(year, lastIndex);
-            
-            if (currentPos >= 0) {
-              // Add text before the year
-              $newElement.append(originalText.substring(lastIndex, currentPos));
-              
-              // Create a span for the year that will be styled
-              const $yearSpan = $('<span>', {
-                text: year,
-                class: self.settings.linkClass,
-                [self.settings.dataAttr]: year
-              });
-              
-              // Add the year span
-              $newElement.append($yearSpan);
-              
-              // Search Wikipedia for this year
-              const yearPromise = self.searchWikipediaForYear(year, $yearSpan);
-              yearPromises.push(yearPromise);
-              
-              // Update lastIndex to after this year
-              lastIndex = currentPos + year.length;
-            }
-          });
-          
-          // Add any remaining text
-          if (lastIndex < originalText.length) {
-            $newElement.append(originalText.substring(lastIndex));
-          }
-          
-          // Replace the original element with our new one
-          $elementToStyle.replaceWith($newElement);
-          
-          // Wait for all year searches to complete
-          Promise.all(yearPromises).then(resolve);
-        } else {
-          // If no years found, search Wikipedia for the whole text
-          this.searchWikipedia(text, $elementToStyle, text).then(resolve);
-        }
-      });
+    // Process a whole element found through a type's selector, once the
+    // overrides are in
+    processType: function(name, text, $element) {
+      return this.overridesLoaded.then(() => this.matcher.processHeading(name, text, $element));
     },
     
-    extractYearsFromDateRange: function(text) {
-      // Match 4-digit years
-      const yearMatches = text.match(/\b\d{4}\b/g);
-      return yearMatches || [];
+    // Staff corrections take precedence over the overrides option
+    updateOverrides: function() {
+      const corrections = this.staff ? parseOverrides(loadCorrections(this.settings.staff.storageKey), this.log) : [];
+      this.matcher.overrides = corrections.concat(this.overrideRules || []);
     },
     
-    // Helper function to check if a result appears to be a citation or reference
-    isCitationOrReference: function(result) {
-      if (!result || !result.snippet) return false;
-      
-      const snippet = result.snippet;
-      
-      // Check for common citation patterns
-      return (
-        snippet.includes("{{cite") || 
-        snippet.includes("ISBN") ||
-        snippet.includes("Retrieved") ||
-        snippet.includes("pp.") ||
-        snippet.includes("p.") ||
-        snippet.includes("vol.") ||
-        snippet.includes("edition") ||
-        snippet.includes("publisher") ||
-        /\}\}\s*<span class="searchmatch">/.test(snippet) ||
-        /<span class="searchmatch">.*?\}\}/.test(snippet) ||
-        /\d{4}\)\./.test(snippet) // Year followed by ). pattern
-      );
+    // The matcher's host: pieces of headings are spans, outcomes are marked up
+    // on the elements
+    elementHost: function() {
+      return {
+        split: ($element, layout) => this.splitElement($element, layout),
+        apply: ($element, outcome) => this.applyMatch($element, outcome),
+        skip: ($element) => {
+          $element.attr(this.settings.statusAttr, 'skipped');
+        },
+        identifiers: $element => this.findAuthorityIds($element),
+        element: $element => $element[0],
+        isOrganization: $element => $element.closest('[typeof~="Organization"]').length > 0
+      };
     },
     
-    searchWikipediaForName: function(searchTerm, lastName, firstAndMiddleNames, $elementToStyle, originalName) {
-      const self = this;
-      
-      return new Promise((resolve) => {
-        this.wp_searchWikipedia(searchTerm).done(function(data) {
-          console.log("Wikipedia results for name:", data);
-          
-          if (data && data.query && data.query.search && data.query.search.length > 0) {
-            const results = data.query.search;
-            
-            // Filter out results that appear to be citations or references
-            const filteredResults = results.filter(result => !self.isCitationOrReference(result));
-            
-            // Use filtered results if available, otherwise fall back to original results
-            const resultsToProcess = filteredResults.length > 0 ? filteredResults : results;
-            
-            let matchFound = false;
-            
-            // Check if any result title contains the last name
-            for (const result of resultsToProcess) {
-              const title = result.title;
-              
-              // Check if last name is in the title
-              if (title.toLowerCase().includes(lastName.toLowerCase())) {
-                console.log(`Last name "${lastName}" found in title "${title}"`);
-                
-                // Check if title contains first name or initials
-                if (title.toLowerCase().includes(firstAndMiddleNames.toLowerCase())) {
-                  console.log(`First/middle names "${firstAndMiddleNames}" found in title "${title}"`);
-                  self.applyStylingIfMatch($elementToStyle, originalName, title);
-                  matchFound = true;
-                  break;
-                }
-                
-                // Check for initials match
-                const firstNameInitials = firstAndMiddleNames
-                  .replace(/[\s\.,]/g, '')
-                  .split('')
-                  .map(c => c.toUpperCase());
-                
-                const titleWords = title.split(/\s+/);
-                let matchedInitials = 0;
-                
-                for (const word of titleWords) {
-                  if (word.length > 0 && firstNameInitials.includes(word[0].toUpperCase())) {
-                    matchedInitials++;
-                  }
-                }
-                
-                if (matchedInitials >= firstNameInitials.length) {
-                  console.log(`Initials match found for "${firstAndMiddleNames}" in title "${title}"`);
-                  self.applyStylingIfMatch($elementToStyle, originalName, title);
-                  matchFound = true;
-                  break;
-                }
-              }
-            }
-            
-            // If no match found in titles, check snippets for famous people with different known names
-            if (!matchFound && resultsToProcess.length > 0) {
-              // Check if all parts of the name appear in the snippet of the first result
-              const firstResult = resultsToProcess[0];
-              const snippet = firstResult.snippet || '';
-              
-              // Get all parts of the name (both first and last name)
-              const nameParts = [];
-              if (lastName) nameParts.push(lastName);
-              if (firstAndMiddleNames) {
-                firstAndMiddleNames.split(/\s+/).forEach(part => {
-                  if (part.length > 1) nameParts.push(part); // Only consider parts with at least 2 characters
-                });
-              }
-              
-              // Check if name parts appear in close proximity in the snippet
-              const cleanSnippet = snippet.replace(/<\/?span[^>]*>/g, ''); // Remove HTML tags
-              const snippetWords = cleanSnippet.split(/\s+/);
-              
-              // Find positions of each name part in the snippet
-              const namePartPositions = {};
-              let allPartsFound = true;
-              
-              for (const part of nameParts) {
-                namePartPositions[part] = [];
-                let partFound = false;
-                
-                for (let i = 0; i < snippetWords.length; i++) {
-                  const cleanWord = snippetWords[i].replace(/[.,;:!?()[\]{}'"]/g, '').toLowerCase();
-                  if (cleanWord === part.toLowerCase()) {
-                    namePartPositions[part].push(i);
-                    partFound = true;
-                  }
-                }
-                
-                if (!partFound) {
-                  allPartsFound = false;
-                }
-              }
-              
-              // Check if we found all name parts
-              if (allPartsFound) {
-                // Check if all parts are in close proximity
-                const proximityCheck = self.checkNamePartsProximity(namePartPositions, nameParts);
-                
-                if (proximityCheck.inProximity) {
-                  // Additional validation: Check if the title contains at least one of the name parts
-                  // This helps prevent false positives like "Sati, Vishwambhar Prasad" matching with "Nautiyal"
-                  const titleContainsNamePart = nameParts.some(part => 
-                     firstResult.title.toLowerCase().includes(part.toLowerCase())
-                  );
-                  
-                  if (titleContainsNamePart) {
-                    console.log(`All name parts found in close proximity for "${originalName}": "${firstResult.title}"`);
-                    self.applyStylingIfMatch($elementToStyle, originalName, firstResult.title);
-                    matchFound = true;
-                  } else {
-                    console.log(`Name parts found in proximity but title doesn't contain any name part for "${originalName}"`);
-                  }
-                } else {
-                  console.log(`Name parts found but not in close proximity for "${originalName}"`);
-                }
-              } else {
-                // Second try: Use Levenshtein distance for fuzzy matching in close proximity
-                const fuzzyMatches = self.findFuzzyNameMatches(nameParts, snippetWords);
-                
-                if (fuzzyMatches.allPartsMatched) {
-                  const proximityCheck = self.checkFuzzyMatchesProximity(fuzzyMatches.matches);
-                  
-                  if (proximityCheck.inProximity) {
-                    // Additional validation: Check if the title contains at least one of the name parts
-                    const titleContainsNamePart = nameParts.some(part => {
-                      const titleWords = firstResult.title.toLowerCase().split(/\s+/);
-                      return titleWords.some(word => {
-                        const similarity = stringSimilarity(part.toLowerCase(), word.toLowerCase());
-                        return similarity >= 80; // 80% similarity threshold
-                      });
-                    });
-                    
-                    if (titleContainsNamePart) {
-                      console.log(`Fuzzy match found in close proximity for "${originalName}": "${firstResult.title}"`);
-                      self.applyStylingIfMatch($elementToStyle, originalName, firstResult.title);
-                      matchFound = true;
-                    } else {
-                      console.log(`Fuzzy matches found in proximity but title doesn't contain any name part for "${originalName}"`);
-                    }
-                  } else {
-                    console.log(`Fuzzy matches found but not in close proximity for "${originalName}"`);
-                  }
-                }
-              }
-              
-              // If still no match found, fall back to the original fuzzy matching logic
-              if (!matchFound) {
-                // First try: Check if all name parts appear exactly in the snippet
-                const allPartsInSnippet = nameParts.every(part => 
-                   snippet.toLowerCase().includes(part.toLowerCase())
-                );
-                
-                if (allPartsInSnippet) {
-                  // Additional check: make sure the name parts are not just appearing in different contexts
-                  // Check if the title contains at least one of the name parts
-                  const titleContainsNamePart = nameParts.some(part => 
-                     firstResult.title.toLowerCase().includes(part.toLowerCase())
-                  );
-                  
-                  if (titleContainsNamePart) {
-                    console.log(`All name parts found in snippet and title contains name part for "${originalName}": "${firstResult.title}"`);
-                    self.applyStylingIfMatch($elementToStyle, originalName, firstResult.title);
-                    matchFound = true;
-                  } else {
-                    console.log(`All name parts found in snippet but title doesn't contain any name part for "${originalName}"`);
-                  }
-                } else {
-                  // Second try: Use Levenshtein distance for fuzzy matching
-                  // Extract words from the snippet
-                  const snippetWords = snippet.replace(/<\/?span[^>]*>/g, '').split(/\s+/);
-                  
-                  // Check if each name part has a close match in the snippet
-                  const fuzzyMatch = nameParts.every(part => {
-                    // For each name part, find the closest match in the snippet
-                    return snippetWords.some(word => {
-                      // Clean up the word (remove punctuation)
-                      const cleanWord = word.replace(/[.,;:!?()[\]{}'"]/g, '');
-                      if (cleanWord.length < 3) return false; // Skip very short words
-                      
-                      // Calculate similarity
-                      const similarity = stringSimilarity(part.toLowerCase(), cleanWord.toLowerCase());
-                      return similarity >= 80; // 80% similarity threshold
-                    });
-                  });
-                  
-                  if (fuzzyMatch) {
-                    // Additional check: make sure the title contains at least one of the name parts
-                    const titleContainsNamePart = nameParts.some(part => {
-                      const titleWords = firstResult.title.toLowerCase().split(/\s+/);
-                      return titleWords.some(word => {
-                        const similarity = stringSimilarity(part.toLowerCase(), word.toLowerCase());
-                        return similarity >= 80; // 80% similarity threshold
-                      });
-                    });
-                    
-                    if (titleContainsNamePart) {
-                      console.log(`Fuzzy match found for "${originalName}": "${firstResult.title}"`);
-                      self.applyStylingIfMatch($elementToStyle, originalName, firstResult.title);
-                      matchFound = true;
-                    } else {
-                      console.log(`Fuzzy match found in snippet but title doesn't contain any name part for "${originalName}"`);
-                    }
-                  }
-                }
-              }
-            }
-            
-            if (!matchFound) {
-              console.log(`No match found for "${originalName}"`);
-            }
-          } else {
-            console.log(`No Wikipedia results for "${searchTerm}"`);
+    // Replace an element's content with a span per piece of its heading, and a
+    // span around each group of pieces
+    splitElement: function($element, layout) {
+      const build = ($parent, items) => {
+        items.forEach((item) => {
+          if (typeof item === 'string') {
+            $parent.append(document.createTextNode(item));
+            return;
           }
-          
-          resolve();
-        }).fail(function(error) {
-          console.error("Wikipedia search error:", error);
-          resolve();
+          item.target = item.group ? build($('<span>'), item.group) : $('<span>').text(item.text);
+          $parent.append(item.target);
         });
-      });
+        return $parent;
+      };
+      const $container = build($('<span>'), layout);
+      
+      // A period looked up whole and not found is split into its dates
+      if (!this.destroyed) {
+        $element.removeAttr(this.settings.statusAttr).html($container);
+      }
     },
     
-    checkNamePartsProximity: function(namePartPositions, nameParts) {
-      // Check if all name parts are within a reasonable distance of each other
-      const maxDistance = 5; // Maximum number of words between name parts
+    // Mark up the outcome of a lookup the matcher made for an element
+    applyMatch: function($element, outcome) {
+      this.recordRejections($element, outcome.rejected);
       
-      // Get all positions for each name part
-      const allPositions = [];
-      for (const part of nameParts) {
-        if (namePartPositions[part] && namePartPositions[part].length > 0) {
-          allPositions.push(...namePartPositions[part]);
-        }
+      if (outcome.status === 'error') {
+        return this.applyError($element, outcome.text, outcome.type, outcome.candidates, outcome.error);
       }
       
-      // Sort positions
-      allPositions.sort((a, b) => a - b);
+      const match = outcome.status === 'match' ? $.extend(
+        { title: outcome.title, lang: outcome.lang },
+        outcome.variant ? { variant: outcome.variant } : {},
+        outcome.score !== null ? { score: outcome.score, reasons: outcome.reasons } : {}
+      ) : null;
+      const applied = this.applyOutcome($element, outcome.text, match, outcome.type, outcome.candidates);
       
-      // Check if all positions are within maxDistance of each other
-      for (let i = 1; i < allPositions.length; i++) {
-        if (allPositions[i] - allPositions[i-1] > maxDistance) {
-          return { inProximity: false };
-        }
+      // Say why a heading was left alone, when there is a reason (an override)
+      if (!match && outcome.reasons.length > 0 && !this.destroyed) {
+        $element.attr(this.settings.reasonsAttr, JSON.stringify(outcome.reasons));
       }
+      return applied;
+    },
+    
+    // Languages of the record itself, from the language codes Koha renders out of MARC 008/041
+    detectRecordLanguages: function() {
+      const languages = [];
+      
+      $(this.settings.selectors.languages).each(function() {
+        const match = (this.className || '').match(/lang_code-([a-z]{3})/);
+        if (match && MARC_LANGUAGES[match[1]]) {
+          languages.push(MARC_LANGUAGES[match[1]]);
+        }
+      });
       
-      return { inProximity: true, positions: allPositions };
+      return uniqueValues(languages);
+    },
+    
+    getInterfaceLanguage: function() {
+      return this.matcher.interfaceLanguage();
+    },
+    
+    recordRejections: function($element, rejected) {
+      if (rejected.length > 0 && !this.destroyed) {
+        $element.attr(this.settings.rejectedAttr, JSON.stringify(rejected));
+      }
     },
     
-    findFuzzyNameMatches: function(nameParts, snippetWords) {
-      const matches = {};
-      let allPartsMatched = true;
+    applyOutcome: function($element, originalText, match, type, candidates) {
+      // Lookups finishing after destroy leave the restored markup alone
+      if (this.destroyed) {
+        return { status: match && match.title ? 'match' : 'nomatch', title: match ? match.title : null };
+      }
       
-      for (const part of nameParts) {
-        matches[part] = [];
-        let partMatched = false;
+      const detail = { element: $element[0], text: originalText, type: type, candidates: candidates || [], title: null };
+      
+      // Give beforeApply the last word on a match
+      if (match && match.title && typeof this.settings.beforeApply === 'function') {
+        const result = this.settings.beforeApply.call($element[0], $.extend({}, match), detail);
         
-        for (let i = 0; i < snippetWords.length; i++) {
-          const cleanWord = snippetWords[i].replace(/[.,;:!?()[\]{}'"]/g, '');
-          if (cleanWord.length < 3) continue; // Skip very short words
-          
-          const similarity = stringSimilarity(part.toLowerCase(), cleanWord.toLowerCase());
-          if (similarity >= 80) { // 80% similarity threshold
-            matches[part].push(i);
-            partMatched = true;
-          }
+        if (result === false) {
+          this.log.info(`Match "${match.title}" for "${originalText}" vetoed by beforeApply`);
+          match = null;
+        } else if (result && typeof result === 'object') {
+          // A different article wasn't found under the variant
+          match = $.extend({}, match, result.title && result.title !== match.title ? { variant: null } : {}, result);
+        }
+      }
+      
+      this.trace($element, 'outcome', match && match.title ?
+        { status: 'match', title: match.title, variant: match.variant || null, lang: match.lang, score: match.score, reasons: match.reasons } : { status: 'nomatch' });
+      
+      if (match && match.title) {
+        this.applyStylingIfMatch($element, originalText, match.title, match.lang);
+        $element.attr(this.settings.statusAttr, 'match');
+        
+        // The title is the article's own; keep the other name it was found under too
+        if (match.variant) {
+          $element.attr(this.settings.variantAttr, match.variant);
         }
         
-        if (!partMatched) {
-          allPartsMatched = false;
+        // Keep the confidence of a scored match and the signals behind it
+        if (match.score !== undefined) {
+          $element.attr(this.settings.scoreAttr, match.score.toFixed(2));
+          $element.attr(this.settings.reasonsAttr, JSON.stringify(match.reasons));
         }
+        
+        this.notify('match', $.extend(detail, { title: match.title, variant: match.variant || null, lang: match.lang, score: match.score }));
+        this.addStaffControl($element, detail);
+        return { status: 'match', title: match.title, variant: match.variant || null, lang: match.lang, score: match.score };
       }
       
-      return { allPartsMatched, matches };
+      $element.attr(this.settings.statusAttr, 'nomatch');
+      this.notify('nomatch', detail);
+      this.addStaffControl($element, detail);
+      return { status: 'nomatch', title: null };
     },
     
-    checkFuzzyMatchesProximity: function(matches) {
-      // Check if all fuzzy matches are within a reasonable distance of each other
-      const maxDistance = 5; // Maximum number of words between name parts
-      
-      // Get all positions for each name part
-      const allPositions = [];
-      for (const part in matches) {
-        if (matches[part] && matches[part].length > 0) {
-          allPositions.push(...matches[part]);
-        }
+    applyError: function($element, originalText, type, candidates, error) {
+      if (this.destroyed) {
+        return { status: 'error', title: null, error: error };
       }
       
-      // Sort positions
-      allPositions.sort((a, b) => a - b);
+      this.trace($element, 'outcome', { status: 'error', error: error });
+      $element.attr(this.settings.statusAttr, 'error');
+      this.notify('error', { element: $element[0], text: originalText, type: type, candidates: candidates, title: null, error: error });
+      return { status: 'error', title: null, error: error };
+    },
+    
+    // Staff mode: a control next to the element opening a menu to mark the link
+    // wrong, never link the heading or link it to another candidate
+    addStaffControl: function($element, detail) {
+      if (!this.staff) return;
       
-      // Check if all positions are within maxDistance of each other
-      for (let i = 1; i < allPositions.length; i++) {
-        if (allPositions[i] - allPositions[i-1] > maxDistance) {
-          return { inProximity: false };
-        }
+      const staff = this.settings.staff;
+      let $control = $.data($element[0], 'plugin_wikipediaSearch_control');
+      
+      if (!$control) {
+        $control = $('<button type="button">')
+          .addClass(staff.controlClass)
+          .attr({ title: staff.labels.control, 'aria-label': staff.labels.control, 'aria-haspopup': 'menu' })
+          .text('\u2691');
+        // Outside any catalogue link around the heading, as a button can't go inside a link
+        const $link = $element.closest('a[href]');
+        ($link.length ? $link : $element).after($control);
+        $.data($element[0], 'plugin_wikipediaSearch_control', $control);
+        this.staffControls.push($control);
       }
       
-      return { inProximity: true, positions: allPositions };
+      $control.off('click').on('click', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        this.toggleStaffMenu($control, $element, detail);
+      });
     },
     
-    searchWikipediaForYear: function(year, $elementToStyle) {
-      const self = this;
+    toggleStaffMenu: function($control, $element, detail) {
+      const staff = this.settings.staff;
+      const $open = $control.next('.' + staff.menuClass);
       
-      return new Promise((resolve) => {
-        this.wp_searchWikipedia(year).done(function(data) {
-          if (data && data.query && data.query.search && data.query.search.length > 0) {
-            const results = data.query.search;
-            
-            // Look for an exact match for the year
-            for (const result of results) {
-              if (result.title === year) {
-                console.log(`Exact match found for year "${year}"`);
-                self.applyStylingIfMatch($elementToStyle, year, result.title);
-                break;
-              }
-            }
-          }
-          
-          resolve();
-        }).fail(function(error) {
-          console.error("Wikipedia search error:", error);
-          resolve();
+      if ($open.length) {
+        $open.remove();
+        return;
+      }
+      
+      const $menu = $('<span role="menu">').addClass(staff.menuClass);
+      const item = (label, action) => $('<button type="button" role="menuitem">').text(label).on('click', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        $menu.remove();
+        action();
+      });
+      
+      if (detail.title) {
+        $menu.append(item(staff.labels.wrong, () => this.correct($element, detail, { exclude: [detail.title] })));
+      }
+      $menu.append(item(staff.labels.never, () => this.correct($element, detail, { link: false })));
+      
+      this.staffCandidates(detail).then((titles) => {
+        titles.filter(title => title !== detail.title).forEach((title) => {
+          $menu.append(item(staff.labels.pick.replace('{title}', title), () => this.correct($element, detail, { title: title, lang: detail.lang })));
         });
+        $menu.append(item(staff.labels.export, () => this.downloadCorrections()));
       });
+      
+      $control.after($menu);
+    },
+    
+    // Titles to offer: the candidates considered, then the stored search results for the heading
+    staffCandidates: function(detail) {
+      const considered = detail.candidates.map(candidate => candidate.title);
+      const query = this.matcher.query(detail.type, detail.text);
+      return Promise.resolve(this.matcher.wp_searchWikipedia(query.term, detail.lang || this.matcher.languagesFor(detail.text)[0]))
+        .then(data => uniqueValues(considered.concat(data && data.query ? data.query.search.map(result => result.title) : [])), () => uniqueValues(considered));
     },
     
-    searchWikipediaForAcronym: function(acronym, $elementToStyle) {
-      const self = this;
+    // Store a correction for the element's heading and look it up again under it
+    correct: function($element, detail, correction) {
+      saveCorrection(this.settings.staff.storageKey, $.extend({ match: detail.text, type: detail.type }, correction), this.log);
+      this.updateOverrides();
       
-      return new Promise((resolve) => {
-        this.wp_searchWikipedia(acronym).done(function(data) {
-          if (data && data.query && data.query.search && data.query.search.length > 0) {
-            const results = data.query.search;
-            
-            // Look for an exact match for the acronym
-            for (const result of results) {
-              if (result.title === acronym) {
-                console.log(`Exact match found for acronym "${acronym}"`);
-                self.applyStylingIfMatch($elementToStyle, acronym, result.title);
-                break;
-              }
-            }
-          }
-          
-          resolve();
-        }).fail(function(error) {
-          console.error("Wikipedia search error:", error);
-          resolve();
-        });
+      const settings = this.settings;
+      this.removeLinkMode($element);
+      $element.removeClass(settings.linkClass);
+      [settings.dataAttr, settings.langAttr, settings.statusAttr, settings.scoreAttr, settings.reasonsAttr, settings.rejectedAttr, settings.previewAttr, settings.variantAttr]
+        .forEach(attr => $element.removeAttr(attr));
+      
+      return this.matcher.lookupType(detail.type, detail.text, $element).then((outcome) => {
+        this.initWikipediaPreview($element.parent()[0]);
+        return outcome;
       });
     },
     
-    searchWikipedia: function(searchTerm, $elementToStyle, originalText) {
-      const self = this;
+    downloadCorrections: function() {
+      downloadJson('wikipedia-overrides.json', $.fn.wikipediaSearch.exportCorrections(this.settings));
+    },
+    
+    // Debug mode: add a step to the decision trace of an element
+    trace: function($element, step, data) {
+      if (this.log.level < LOG_LEVELS.debug || !$element || !$element[0]) return;
+      
+      const element = $element[0];
+      let record = $.data(element, 'plugin_wikipediaSearch_trace');
+      
+      if (!record) {
+        record = { element: element, text: $element.text(), steps: [] };
+        $.data(element, 'plugin_wikipediaSearch_trace', record);
+        this.traces.push(record);
+      }
+      record.steps.push($.extend({ step: step }, data));
+    },
+    
+    // The decision traces recorded so far, one per element, ready for JSON
+    getTrace: function() {
+      return this.traces.map(record => ({ element: elementPath(record.element), text: record.text, steps: record.steps }));
+    },
+    
+    // The traces of the page as a JSON report
+    downloadTrace: function() {
+      const report = {
+        url: window.location.href,
+        generated: new Date().toISOString(),
+        pageType: this.pageType ? this.pageType.name : null,
+        languages: this.matcher.languagesFor(''),
+        elements: this.getTrace()
+      };
+      
+      downloadJson('wikipedia-trace.json', JSON.stringify(report, null, 2));
+    },
+    
+    // Tell the option callback and event handlers, e.g.
+    // $(document).on('wpsearch:match', (event, detail) => ...)
+    notify: function(event, detail) {
+      const callback = this.settings[EVENT_CALLBACKS[event]];
+      
+      if (typeof callback === 'function') {
+        callback.call(detail.element, detail);
+      }
+      $(detail.element).trigger('wpsearch:' + event, [detail]);
+    },
+    
+    // Gather authority identifiers for a heading, from its links, the links of
+    // its container and, optionally, the Koha authority record it points to
+    findAuthorityIds: function($element) {
+      const settings = this.settings.authorities;
+      
+      if (!settings.enabled) {
+        return Promise.resolve([]);
+      }
+      
+      const $links = $element.closest('a[href]')
+        .add($element.find('a[href]'))
+        .add($element.closest(this.settings.selectors.authorityScope).find('a[href]'))
+        .add($element.nextAll(this.settings.selectors.authorityLinks).first())
+        .add($element.closest('a').nextAll(this.settings.selectors.authorityLinks).first());
+      
+      const hrefs = $links.map(function() { return $(this).attr('href'); }).get();
+      let ids = extractAuthorityIds(hrefs.join(' '));
+      
+      if (typeof settings.getIdentifiers === 'function') {
+        ids = ids.concat(settings.getIdentifiers($element) || []);
+      }
+      
+      const authids = uniqueValues(hrefs.map(href => (href.match(KOHA_AUTHID_PATTERN) || [])[1]));
+      
+      if (!settings.kohaAuthorities || authids.length === 0) {
+        return Promise.resolve(ids);
+      }
+      
+      return Promise.all(authids.map(authid => this.fetchKohaAuthorityIds(authid)))
+        .then(lists => ids.concat(...lists));
+    },
+    
+    // Read identifiers from a Koha authority record (same origin), cached like lookups
+    fetchKohaAuthorityIds: function(authid) {
+      const cache = this.cache;
+      const cacheKey = 'authority:' + authid;
+      const cached = cache ? cache.get(cacheKey) : undefined;
+      
+      if (cached !== undefined) {
+        return Promise.resolve(cached);
+      }
       
+      // Through the queue, so authority records share its concurrency cap and retries
       return new Promise((resolve) => {
-        this.wp_searchWikipedia(searchTerm).done(function(data) {
-          if (data && data.query && data.query.search && data.query.search.length > 0) {
-            const results = data.query.search;
-            
-            // Filter out results that appear to be citations or references
-            const filteredResults = results.filter(result => !self.isCitationOrReference(result));
-            
-            // Use filtered results if available, otherwise fall back to original results
-            const resultsToProcess = filteredResults.length > 0 ? filteredResults : results;
-            
-            // Look for an exact match first
-            for (const result of resultsToProcess) {
-              if (result.title.toLowerCase() === searchTerm.toLowerCase()) {
-                console.log(`Exact match found for "${searchTerm}"`);
-                self.applyStylingIfMatch($elementToStyle, originalText, result.title);
-                resolve();
-                return;
-              }
-            }
-            
-            // If no exact match, look for a close match
-            for (const result of resultsToProcess) {
-              const similarity = stringSimilarity(searchTerm.toLowerCase(), result.title.toLowerCase());
-              if (similarity >= 90) { // 90% similarity threshold
-                console.log(`Close match found for "${searchTerm}": "${result.title}" (${similarity.toFixed(2)}%)`);
-                self.applyStylingIfMatch($elementToStyle, originalText, result.title);
-                resolve();
-                return;
-              }
-            }
-            
-            // If no close match, check if the search term is a substring of any result title
-            for (const result of resultsToProcess) {
-              if (result.title.toLowerCase().includes(searchTerm.toLowerCase())) {
-                console.log(`Substring match found for "${searchTerm}": "${result.title}"`);
-                self.applyStylingIfMatch($elementToStyle, originalText, result.title);
-                resolve();
-                return;
-              }
-            }
-            
-            // If still no match, check if any result title is a substring of the search term
-            for (const result of resultsToProcess) {
-              if (searchTerm.toLowerCase().includes(result.title.toLowerCase())) {
-                console.log(`Title is substring of search term for "${searchTerm}": "${result.title}"`);
-                self.applyStylingIfMatch($elementToStyle, originalText, result.title);
-                resolve();
-                return;
-              }
-            }
-            
-            // If still no match, use the first result if it's relevant
-            if (resultsToProcess.length > 0) {
-              const firstResult = resultsToProcess[0];
-              const similarity = stringSimilarity(searchTerm.toLowerCase(), firstResult.title.toLowerCase());
-              
-              if (similarity >= 70) { // 70% similarity threshold for first result
-                console.log(`Using first result for "${searchTerm}": "${firstResult.title}" (${similarity.toFixed(2)}%)`);
-                self.applyStylingIfMatch($elementToStyle, originalText, firstResult.title);
-                resolve();
-                return;
-              }
-            }
-            
-            console.log(`No suitable match found for "${searchTerm}"`);
-          } else {
-            console.log(`No Wikipedia results for "${searchTerm}"`);
+        this.queue.request(this.settings.authorities.kohaAuthorityUrl + authid, {}, this.log, 'html').done((html) => {
+          const ids = extractAuthorityIds(String(html));
+          if (cache) {
+            cache.set(cacheKey, ids, this.settings.cache.hitTtl);
           }
-          
-          resolve();
-        }).fail(function(error) {
-          console.error("Wikipedia search error:", error);
-          resolve();
+          resolve(ids);
+        }).fail(() => {
+          // Without the authority record we simply fall back to the heuristics
+          resolve([]);
         });
       });
     },
     
-    wp_searchWikipedia: function(searchTerm) {
-      return $.ajax({
-        url: this.settings.apiUrl,
-        data: {
-          action: 'query',
-          list: 'search',
-          srsearch: searchTerm,
-          format: 'json',
-          origin: '*'
-        },
-        dataType: 'json'
-      });
+    clearCache: function() {
+      if (this.cache) {
+        this.cache.clear();
+      }
     },
     
-    applyStylingIfMatch: function($element, originalText, wikipediaTitle) {
+    applyStylingIfMatch: function($element, originalText, wikipediaTitle, lang) {
       // Apply styling to the element
       $element.addClass(this.settings.linkClass);
       $element.attr(this.settings.dataAttr, wikipediaTitle);
+      
+      // Remember which wiki the article is on so the preview opens in that language
+      if (lang) {
+        $element.attr(this.settings.langAttr, lang);
+      }
+      
+      this.applyLinkMode($element, originalText, wikipediaTitle, lang);
+    },
+    
+    // Wiki a match links to, when the lookup didn't say
+    articleLanguage: function(lang) {
+      return lang || this.getInterfaceLanguage() || this.matcher.languagesFor('')[0];
+    },
+    
+    articleUrl: function(title, lang) {
+      return this.settings.articleLink.url.replace('{lang}', encodeURIComponent(lang)).replace('{title}', articlePath(title));
+    },
+    
+    summaryUrl: function(title, lang) {
+      return this.settings.preview.summaryUrl
+        .replace('{lang}', encodeURIComponent(lang))
+        .replace('{title}', encodeURIComponent(title.replace(/ /g, '_')));
+    },
+    
+    // Make a match reachable by keyboard and screen readers and, depending on
+    // linkMode, a real link to the article. A heading that is already one of
+    // Koha's catalogue search links keeps it, and gets the article link after it.
+    applyLinkMode: function($element, originalText, title, lang) {
+      const settings = this.settings;
+      const link = settings.articleLink;
+      const wiki = this.articleLanguage(lang);
+      const description = link.description.replace('{title}', title);
+      const $catalogueLink = $element.closest('a[href]');
+      let $focusable = $catalogueLink;
+      
+      if (settings.linkMode === 'anchor' || settings.linkMode === 'both') {
+        const script = detectScript(originalText);
+        const $anchor = $('<a>').addClass(link.className).attr({
+          href: this.articleUrl(title, wiki),
+          hreflang: wiki,
+          rel: link.rel || null,
+          target: link.target || null
+        });
+        
+        if ($catalogueLink.length) {
+          let $after = $catalogueLink;
+          while ($after.next().is('.' + link.className)) $after = $after.next();
+          
+          $anchor.text(link.label).attr({ 'aria-label': description, title: description });
+          const $added = $([document.createTextNode(' '), $anchor[0]]).insertAfter($after);
+          $.data($element[0], 'plugin_wikipediaSearch_link', $added);
+          this.articleLinks.push($added);
+        } else {
+          // The heading is in the article's language when it's written in that wiki's script
+          if (script && (settings.scriptLanguages[script] || []).indexOf(wiki) >= 0) {
+            $anchor.attr('lang', wiki);
+          }
+          $element.wrapInner($anchor);
+          $focusable = $element.children('.' + link.className);
+        }
+      } else if (!$catalogueLink.length) {
+        // Opens the preview with Enter or Space
+        $element.attr({ tabindex: 0, role: 'button', 'aria-haspopup': 'dialog' });
+        $focusable = $element;
+      }
+      
+      if ($focusable.is($catalogueLink)) {
+        // A catalogue link may hold more than one match, e.g. the parts of a subject
+        // heading: its description lists each of them after its own
+        const catalogueLink = $catalogueLink[0];
+        if (this.describedLinks.indexOf(catalogueLink) < 0) {
+          $.data(catalogueLink, 'plugin_wikipediaSearch_description', $catalogueLink.attr('aria-description'));
+          $.data(catalogueLink, 'plugin_wikipediaSearch_descriptions', []);
+          this.describedLinks.push(catalogueLink);
+        }
+        $.data(catalogueLink, 'plugin_wikipediaSearch_descriptions').push({ element: $element[0], description: description });
+        this.describeCatalogueLink(catalogueLink);
+      } else {
+        $focusable.attr('aria-description', description);
+      }
+    },
+    
+    // Set a catalogue link's aria-description to its own followed by those of its matches
+    describeCatalogueLink: function(catalogueLink) {
+      const descriptions = $.data(catalogueLink, 'plugin_wikipediaSearch_descriptions').map(entry => entry.description);
+      const text = [$.data(catalogueLink, 'plugin_wikipediaSearch_description')].concat(descriptions).filter(Boolean).join('; ');
+      $(catalogueLink).attr('aria-description', text || null);
+    },
+    
+    // Undo applyLinkMode, before an element is looked up again
+    removeLinkMode: function($element) {
+      const $added = $.data($element[0], 'plugin_wikipediaSearch_link');
+      if ($added) {
+        $added.remove();
+        $.removeData($element[0], 'plugin_wikipediaSearch_link');
+      }
+      
+      $element.children('.' + this.settings.articleLink.className).contents().unwrap();
+      $element.removeAttr('tabindex role aria-haspopup aria-description');
+      
+      // Take the element's own entry out of the catalogue link's description,
+      // which may be the element itself
+      const catalogueLink = $element.closest('a[href]')[0];
+      const descriptions = catalogueLink && $.data(catalogueLink, 'plugin_wikipediaSearch_descriptions');
+      if (descriptions) {
+        $.data(catalogueLink, 'plugin_wikipediaSearch_descriptions', descriptions.filter(entry => entry.element !== $element[0]));
+        this.describeCatalogueLink(catalogueLink);
+      }
+    },
+    
+    // Which preview to use: the wikipedia-preview library, the built-in popup or none
+    previewProvider: function() {
+      const provider = this.settings.preview.provider;
+      const loaded = typeof window.wikipediaPreview !== 'undefined';
+      
+      if (this.settings.linkMode === 'anchor') return false;
+      if (provider === 'auto') return loaded ? 'wikipedia-preview' : 'builtin';
+      if (provider === 'wikipedia-preview' && !loaded) {
+        this.log.error('Wikipedia Preview library not loaded');
+        return false;
+      }
+      return provider;
     },
     
     // Initialize Wikipedia Preview after all searches are complete
-    initWikipediaPreview: function() {
-      if (typeof window.wikipediaPreview !== 'undefined') {
+    initWikipediaPreview: function(root) {
+      const provider = this.previewProvider();
+      // Skip links that already have a preview, so this can run again after a rescan
+      const selector = `.${this.settings.linkClass}:not([${this.settings.previewAttr}])`;
+      
+      if (provider) {
+        this.bindPreviewKeys(provider);
+      }
+      
+      if (provider === 'builtin') {
+        this.bindPreviewPopup();
+        $(root || this.element).find(selector).attr(this.settings.previewAttr, 'builtin');
+      } else if (provider === 'wikipedia-preview') {
         window.wikipediaPreview.init({
-          root: document.body,
-          selector: `.${this.settings.linkClass}`,
+          root: root || document.body,
+          selector: selector,
           detectLinks: false,
           popupContainer: document.body,
-          lang: 'en',
-          preferredThumbnailWidth: 300,
-          theme: 'light',
+          lang: this.getInterfaceLanguage() || this.matcher.languagesFor('')[0],
+          preferredThumbnailWidth: this.settings.preview.thumbnailWidth,
+          theme: this.settings.preview.theme,
           showPreview: (el) => {
             return el.getAttribute(this.settings.dataAttr.replace('data-', ''));
           },
           getPreviewOptions: (el) => {
             return {
-              title: el.getAttribute(this.settings.dataAttr)
+              title: el.getAttribute(this.settings.dataAttr),
+              lang: el.getAttribute(this.settings.langAttr) || undefined
             };
           }
         });
-      } else {
-        console.error('Wikipedia Preview library not loaded');
+        
+        $(root || document.body).find(selector).attr(this.settings.previewAttr, '');
+      }
+    },
+    
+    // Show the built-in popup on hover and focus. The handlers are delegated,
+    // so links added by a later rescan are covered too.
+    bindPreviewPopup: function() {
+      if (this.popupBound) return;
+      this.popupBound = true;
+      
+      const popup = getPreviewPopup();
+      const selector = `.${this.settings.linkClass}[${this.settings.dataAttr}]`;
+      // Focus lands on the match, a link inside it or the catalogue link around it
+      const matchFor = target => $(target).closest(selector)[0] || $(target).find(selector)[0];
+      
+      $(this.element)
+        .on('mouseenter.wpsearch', selector, (event) => {
+          popup.schedule(event.currentTarget, this.popupOptions(event.currentTarget));
+        })
+        .on('focusin.wpsearch', (event) => {
+          const match = matchFor(event.target);
+          if (match) popup.schedule(match, this.popupOptions(match));
+        })
+        .on('mouseleave.wpsearch', selector, () => popup.scheduleHide())
+        .on('focusout.wpsearch', (event) => {
+          if (matchFor(event.target)) popup.scheduleHide();
+        })
+        .on('click.wpsearch', selector, (event) => {
+          // Real links keep going where they point
+          if ($(event.target).closest('a[href]').length) return;
+          popup.toggle(event.currentTarget, this.popupOptions(event.currentTarget));
+        });
+    },
+    
+    // Enter or Space on a match that isn't a link opens its preview. A match
+    // inside a catalogue link can't take focus itself, so with wikipedia-preview
+    // its preview shows while the catalogue link has focus (the built-in popup
+    // does the same in bindPreviewPopup).
+    bindPreviewKeys: function(provider) {
+      if (this.keysBound) return;
+      this.keysBound = true;
+      
+      if (provider === 'wikipedia-preview') {
+        const selector = `.${this.settings.linkClass}[${this.settings.dataAttr}]`;
+        const matchIn = target => ($(target).is('a[href]') ? $(target).find(selector)[0] : null);
+        
+        $(this.element)
+          .on('focusin.wpsearch', (event) => {
+            const match = matchIn(event.target);
+            if (match) match.dispatchEvent(new window.MouseEvent('mouseenter'));
+          })
+          .on('focusout.wpsearch', (event) => {
+            const match = matchIn(event.target);
+            if (match) match.dispatchEvent(new window.MouseEvent('mouseleave'));
+          });
+      }
+      
+      $(this.element).on('keydown.wpsearch', `.${this.settings.linkClass}[role="button"]`, (event) => {
+        if (event.key !== 'Enter' && event.key !== ' ') return;
+        event.preventDefault();
+        
+        const element = event.currentTarget;
+        if (provider === 'builtin') {
+          getPreviewPopup().toggle(element, this.popupOptions(element));
+        } else {
+          // wikipedia-preview opens on mouseenter, or on click on touch devices
+          element.dispatchEvent(new window.MouseEvent('mouseenter'));
+          element.dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+        }
+      });
+    },
+    
+    popupOptions: function(element) {
+      const settings = this.settings;
+      const title = element.getAttribute(settings.dataAttr);
+      const lang = this.articleLanguage(element.getAttribute(settings.langAttr));
+      
+      return $.extend({}, settings.preview, {
+        title: title,
+        lang: lang,
+        url: this.summaryUrl(title, lang),
+        log: this.log
+      });
+    },
+    
+    // Knowledge panel about the record's main author, once every heading has been looked up
+    renderAuthorPanel: function() {
+      const settings = this.settings;
+      const panel = settings.authorPanel;
+      const $container = $(panel.container).first();
+      
+      if (!panel.enabled || this.destroyed || !$container.length) return Promise.resolve(null);
+      
+      const $name = $(this.element).find(settings.selectors.names).filter(`[${settings.statusAttr}="match"]`).first();
+      if (!$name.length) return Promise.resolve(null);
+      
+      const title = $name.attr(settings.dataAttr);
+      const lang = this.articleLanguage($name.attr(settings.langAttr));
+      
+      // Show what there is: a failed summary or Wikidata request only leaves its part out
+      const summary = fetchSummary(this.summaryUrl(title, lang)).catch((error) => {
+        this.log.error(`Could not load the summary of "${title}":`, error);
+        return null;
+      });
+      const claims = Promise.resolve(this.matcher.titlesFor(lang).lookup(title))
+        .then(page => (page.item ? this.matcher.fetchWikidataClaims(page.item) : null))
+        .catch((error) => {
+          this.log.error(`Could not load the Wikidata item of "${title}":`, error);
+          return null;
+        });
+      
+      return Promise.all([summary, claims]).then(([summary, claims]) => {
+        if (this.destroyed || (!summary && !claims)) return null;
+        
+        if (this.$authorPanel) this.$authorPanel.remove();
+        this.$authorPanel = this.buildAuthorPanel($name, title, lang, summary || {}, claims || {}).appendTo($container);
+        return this.$authorPanel[0];
+      });
+    },
+    
+    buildAuthorPanel: function($name, title, lang, summary, claims) {
+      const panel = this.settings.authorPanel;
+      const className = panel.panelClass;
+      const $panel = $('<aside>').addClass(className).attr('aria-label', panel.labels.panel.replace('{title}', title));
+      
+      if (summary.thumbnail && summary.thumbnail.source) {
+        $('<img alt="">')
+          .addClass(className + '-portrait')
+          .attr('src', summary.thumbnail.source)
+          .css({ maxWidth: '100%', width: Math.min(panel.thumbnailWidth, summary.thumbnail.width || panel.thumbnailWidth) })
+          .appendTo($panel);
+      }
+      
+      $('<h3>').addClass(className + '-title').attr('lang', lang)
+        .append($('<a rel="external">').attr({ href: this.articleUrl(title, lang), hreflang: lang }).text(summary.title || title))
+        .appendTo($panel);
+      
+      if (summary.description) {
+        $('<p>').addClass(className + '-description').attr('lang', lang).text(summary.description).appendTo($panel);
+      }
+      
+      const year = value => (value < 0 ? `${-value} BC` : String(value));
+      const birth = wikidataYear(claims, 'P569');
+      const death = wikidataYear(claims, 'P570');
+      if (birth !== null || death !== null) {
+        $('<p>').addClass(className + '-dates')
+          .text(`${birth !== null ? year(birth) : '?'}\u2013${death !== null ? year(death) : ''}`)
+          .appendTo($panel);
+      }
+      
+      if (summary.extract) {
+        $('<p>').addClass(className + '-extract').attr('lang', lang).text(summary.extract).appendTo($panel);
       }
+      
+      const identifiers = PANEL_IDENTIFIERS
+        .map(identifier => $.extend({ value: wikidataString(claims, identifier.property) }, identifier))
+        .filter(identifier => identifier.value);
+      
+      if (identifiers.length) {
+        const $list = $('<ul>').addClass(className + '-identifiers').attr('aria-label', panel.labels.identifiers);
+        identifiers.forEach((identifier) => {
+          $('<li>').append(
+            $('<a rel="external">').attr('href', identifier.url.replace('{id}', encodeURIComponent(identifier.value))).text(`${identifier.label}: ${identifier.value}`)
+          ).appendTo($list);
+        });
+        $list.appendTo($panel);
+      }
+      
+      // Search the catalogue the same way Koha's own link on the heading does
+      const $catalogueLink = $name.closest('a[href]');
+      const heading = $name.text().trim();
+      const href = $catalogueLink.length ?
+        $catalogueLink.attr('href') :
+        panel.searchUrl.replace('{heading}', encodeURIComponent(`"${heading}"`));
+      
+      $('<a>').addClass(className + '-catalogue').attr('href', href).text(panel.labels.more).appendTo($('<p>').appendTo($panel));
+      
+      return $panel;
     }
   });
   
+  // Methods that can be called as .wikipediaSearch('name')
+  const PUBLIC_METHODS = ['refresh', 'destroy', 'rescan', 'downloadTrace'];
+  
+  // Methods returning a value, from the first element: .wikipediaSearch('trace')
+  const GETTER_METHODS = { trace: 'getTrace' };
+  
   // jQuery plugin wrapper
   $.fn.wikipediaSearch = function(options) {
+    if (GETTER_METHODS[options]) {
+      const plugin = this.first().data('plugin_wikipediaSearch');
+      return plugin ? plugin[GETTER_METHODS[options]]() : undefined;
+    }
+    
+    if (typeof options === 'string') {
+      if (PUBLIC_METHODS.indexOf(options) < 0) {
+        $.error(`Method ${options} does not exist on jQuery.wikipediaSearch`);
+      }
+      
+      return this.each(function() {
+        const plugin = $.data(this, 'plugin_wikipediaSearch');
+        if (plugin) {
+          plugin[options]();
+        }
+      });
+    }
+    
     return this.each(function() {
       if (!$.data(this, 'plugin_wikipediaSearch')) {
         const plugin = new WikipediaSearch(this, options);
@@ -840,4 +1823,27 @@
       }
     });
   };
-})(jQuery);
+  
+  // Add or extend a heading type, e.g.
+  // $.fn.wikipediaSearch.registerType('series', { selector: '.series', search: ..., match: ... })
+  $.fn.wikipediaSearch.registerType = registerType;
+  
+  // Form subdivisions that are never linked; push to this list to add more for every instance
+  $.fn.wikipediaSearch.formSubdivisions = core.formSubdivisions;
+  
+  // Staff corrections as override JSON, e.g. to save as the file given to the overrides option
+  $.fn.wikipediaSearch.exportCorrections = function(options) {
+    const staff = $.extend({}, defaults.staff, options && options.staff);
+    return JSON.stringify(loadCorrections(staff.storageKey), null, 2);
+  };
+  
+  // Per-page selectors, e.g. to adapt to a customised results page:
+  // $.fn.wikipediaSearch.pageTypes.results.selectors.names = '.my-author-link'
+  $.fn.wikipediaSearch.pageTypes = PAGE_TYPES;
+  
+  // Clear cached lookups, e.g. $.fn.wikipediaSearch.clearCache()
+  $.fn.wikipediaSearch.clearCache = function(options) {
+    const cacheOptions = $.extend({}, defaults.cache, options && options.cache);
+    getLookupCache(cacheOptions).clear();
+  };
+})(jQuery, window.WikipediaKohaLinker);
@@ -0,0 +1,2633 @@
+/**
+ * Wikipedia Koha Linker matching core
+ *
+ * Decides which Wikipedia article, if any, a catalogue heading is about. It has
+ * no DOM or jQuery dependency: the jQuery plugin runs it in the OPAC, and it can
+ * be required from Node to measure matching changes against labelled headings.
+ *
+ * Author  : Indranil Das Gupta <indradg@l2c2.co.in>
+ * Version : 0.1-beta
+ * License : GNU GPLv3+
+ */
+(function(root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define([], factory);
+  } else if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.WikipediaKohaLinker = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+  
+  // Matching defaults, also the base of the jQuery plugin's defaults
+  const defaults = {
+    apiUrl: 'https://{lang}.wikipedia.org/w/api.php', // {lang} is replaced with the wiki language
+    wikidataApiUrl: 'https://www.wikidata.org/w/api.php',
+    languages: ['en'], // Ordered fallback list, or 'auto' to pick from the record and heading script
+    fallbackLanguages: ['en'], // Tried after the record's own languages in 'auto' mode
+    scriptLanguages: {
+      devanagari: ['hi', 'mr', 'ne', 'sa'],
+      bengali: ['bn', 'as'],
+      gurmukhi: ['pa'],
+      gujarati: ['gu'],
+      oriya: ['or'],
+      tamil: ['ta'],
+      telugu: ['te'],
+      kannada: ['kn'],
+      malayalam: ['ml'],
+      arabic: ['ur', 'ar', 'fa']
+    },
+    requireHuman: true, // Only link personal names to Wikidata items that are instances of human (Q5)
+    maxNameQueries: 3, // How many forms of a personal name to search for before giving up ("Mahatma Gandhi", ...)
+    scoring: {
+      minConfidence: 0.5, // Best candidate must reach this weighted score (0-1) to be linked
+      weights: {}, // Override built-in scorer weights by name, 0 disables a scorer
+      thresholds: {
+        closeSimilarity: 90, // % similarity for a close title match
+        firstResultSimilarity: 70, // % similarity for trusting the first result
+        fuzzySimilarity: 80, // % similarity for a fuzzy name-part match
+        maxDistance: 5 // Maximum number of words between name parts in a snippet
+      },
+      scorers: {} // Extra scorers: { name: { types: ['name'], weight, score(candidate, context) } }, or false to remove one
+    },
+    variants: {
+      enabled: true, // Also compare headings to the other names of each search result
+      redirects: true, // Titles redirecting to the article ("Samuel Langhorne Clemens" for "Mark Twain")
+      aliases: true, // Labels and aliases of the article's Wikidata item
+      maxCandidates: 5 // How many of the top search results to fetch other names for
+    },
+    formSubdivisions: [], // Extra form subdivisions never to link, added to the shared formSubdivisions list
+    places: [], // Extra place names recognised as geographic headings and qualifiers
+    subdivisionContexts: {}, // Extra topical subdivisions read with their heading, e.g. { 'Climate': 'Climate of {topic}' }
+    filterCandidate: null, // function(candidate, detail) returning false to pass over a candidate
+    overrides: null, // Curated rules checked before any lookup: an object keyed by heading or a list of rules (the plugin also takes a JSON URL)
+    interfaceLanguage: null, // Language the links are read in; the plugin defaults to the OPAC's <html lang>
+    preferInterfaceLanguage: true, // Follow interlanguage links to the interface language when possible
+    logLevel: 'error' // 'silent', 'error', 'info' or 'debug'; 'debug' also records a decision trace per element
+  };
+  
+  // Console verbosity, least to most
+  const LOG_LEVELS = { silent: 0, error: 1, info: 2, debug: 3 };
+  
+  // The MediaWiki API accepts at most 50 titles per query
+  const MAX_TITLES_PER_QUERY = 50;
+  
+  // Wikidata class of human beings
+  const HUMAN = 'Q5';
+  
+  // Unicode blocks of the scripts we can pick a wiki language for
+  const SCRIPT_RANGES = {
+    devanagari: /[\u0900-\u097F]/,
+    bengali: /[\u0980-\u09FF]/,
+    gurmukhi: /[\u0A00-\u0A7F]/,
+    gujarati: /[\u0A80-\u0AFF]/,
+    oriya: /[\u0B00-\u0B7F]/,
+    tamil: /[\u0B80-\u0BFF]/,
+    telugu: /[\u0C00-\u0C7F]/,
+    kannada: /[\u0C80-\u0CFF]/,
+    malayalam: /[\u0D00-\u0D7F]/,
+    arabic: /[\u0600-\u06FF]/
+  };
+  
+  // Levenshtein distance calculator
+  function levenshteinDistance(a, b) {
+    if (a.length === 0) return b.length;
+    if (b.length === 0) return a.length;
+    const matrix = [];
+    // Initialize matrix
+    for (let i = 0; i <= b.length; i++) {
+      matrix[i] = [i];
+    }
+    for (let j = 0; j <= a.length; j++) {
+      matrix[0][j] = j;
+    }
+    // Fill in the rest of the matrix
+    for (let i = 1; i <= b.length; i++) {
+      for (let j = 1; j <= a.length; j++) {
+        if (b.charAt(i - 1) === a.charAt(j - 1)) {
+          matrix[i][j] = matrix[i - 1][j - 1];
+        } else {
+          matrix[i][j] = Math.min(
+            matrix[i - 1][j - 1] + 1, // substitution
+            matrix[i][j - 1] + 1,     // insertion
+            matrix[i - 1][j] + 1      // deletion
+          );
+        }
+      }
+    }
+    return matrix[b.length][a.length];
+  }
+  
+  // Calculate string similarity percentage
+  function stringSimilarity(a, b) {
+    const distance = levenshteinDistance(a, b);
+    const maxLength = Math.max(a.length, b.length);
+    return ((maxLength - distance) / maxLength) * 100;
+  }
+  
+  // Find the script a heading is written in, or null for Latin/unknown
+  function detectScript(text) {
+    for (const script in SCRIPT_RANGES) {
+      if (SCRIPT_RANGES[script].test(text)) return script;
+    }
+    return null;
+  }
+  
+  // Parse the date subfield of a personal name heading ("1861-1941", "b. 1950",
+  // "d. 1832", "fl. 1620", "ca. 1500-1560", "384-322 B.C."), or null if it isn't one
+  function parseLifeDates(text) {
+    const trimmed = text.trim();
+    
+    // Anything beyond the date vocabulary, digits and punctuation means it's not a date subfield
+    const vocabulary = /\b(?:B\.\s?C|A\.\s?D|BCE|CE|approximately|flourished|active|circa|born|died|fl|ca|b|d)\b\.?/gi;
+    if (!/\d/.test(trimmed) || /[^\d\s?\-–—.,]/.test(trimmed.replace(vocabulary, ''))) {
+      return null;
+    }
+    
+    const years = (trimmed.match(/\d{1,4}/g) || []).map(Number);
+    const sign = /B\.\s?C|BCE/i.test(trimmed) ? -1 : 1;
+    const dates = {
+      text: trimmed,
+      birth: null,
+      death: null,
+      flourished: null,
+      circa: /\b(?:ca|circa|approximately)\b|\?/i.test(trimmed)
+    };
+    
+    if (/^(?:b\.|born)/i.test(trimmed)) {
+      dates.birth = sign * years[0];
+    } else if (/^(?:d\.|died)/i.test(trimmed)) {
+      dates.death = sign * years[0];
+    } else if (/^(?:fl\.|active|flourished)/i.test(trimmed)) {
+      dates.flourished = [sign * years[0], sign * (years.length > 1 ? years[1] : years[0])];
+    } else {
+      // Plain range, possibly open ("1950-") or qualified ("ca. 1500-1560")
+      dates.birth = sign * years[0];
+      dates.death = years.length > 1 ? sign * years[1] : null;
+    }
+    
+    return dates;
+  }
+  
+  // Words that make a segment of a name heading a title or term of address
+  // ("Gandhi, Mahatma", "Scott, Walter, Sir") rather than forenames
+  const NAME_TITLES = [
+    'acharya', 'admiral', 'archbishop', 'ayatollah', 'baron', 'baroness', 'begum', 'bishop', 'brother',
+    'captain', 'cardinal', 'colonel', 'count', 'countess', 'dame', 'doctor', 'dr', 'duchess', 'duke', 'earl',
+    'emperor', 'empress', 'father', 'general', 'guru', 'imam', 'king', 'lady', 'lord', 'mahatma', 'maharaja',
+    'maharani', 'marquis', 'maulana', 'mother', 'nawab', 'pandit', 'pope', 'president', 'prince', 'princess',
+    'queen', 'rabbi', 'raja', 'rani', 'rev', 'reverend', 'saint', 'shaikh', 'sheikh', 'shri', 'sir', 'sister',
+    'sri', 'st', 'sultan', 'swami', 'viscount'
+  ];
+  
+  // Titles that follow the name rather than precede it ("Martin Luther King Jr.")
+  const NAME_SUFFIXES = ['jr', 'sr'];
+  
+  // Relator terms that may end a name heading ("Ray, Satyajit, director"); any
+  // segment in lower case is taken to be one too
+  const RELATOR_TERMS = ['author', 'comp', 'compiler', 'ed', 'editor', 'eds', 'ill', 'illus', 'illustrator', 'tr', 'trans', 'translator'];
+  
+  // First word of a name segment, lower case and without its period
+  function nameWord(segment) {
+    return segment.trim().split(/\s+/)[0].replace(/\.$/, '').toLowerCase();
+  }
+  
+  // A title is a word on its own ("Pope", "Jr.") or with what it is of ("Queen of
+  // Great Britain"); a title word before a name ("Shri Ram") starts the forenames
+  function isNameTitle(segment) {
+    const word = nameWord(segment);
+    if (NAME_TITLES.indexOf(word) < 0 && NAME_SUFFIXES.indexOf(word) < 0) return false;
+    return !/\s/.test(segment.trim()) || /^\S+\s+(?:of|de|du|von|van|der)\s/i.test(segment.trim());
+  }
+  
+  function initials(text) {
+    return text.split(/[\s.]+/).filter(Boolean).map(word => word.charAt(0).toUpperCase()).join('');
+  }
+  
+  // Split a personal name heading in MARC 100/600/700 order into its parts:
+  //   "Smith, J. R. (John Robert), 1920-1999, author" -> surname "Smith", forenames "J. R.",
+  //   fullerForm "John Robert", dates {...}, relator "author"
+  //   "John Paul II, Pope, 1920-2005" -> forenames "John", numeration "II", titles ["Pope"]
+  //   "Gandhi, Mahatma, 1869-1948" -> surname "Gandhi", titles ["Mahatma"]
+  //   "Kalidasa" -> forenames "Kalidasa"
+  //   "Shakespeare, William, 1564-1616. Hamlet" -> surname "Shakespeare", forenames "William",
+  //   dates {...}, work "Hamlet"
+  // Returns null when some part of the heading can't be accounted for as a name.
+  function parseName(heading) {
+    const split = splitNameTitle(heading);
+    const name = parseNameParts(split ? split.name : heading);
+    
+    if (name) {
+      name.work = split ? split.work : null;
+    }
+    return name;
+  }
+  
+  // Split a name/title heading into the name and the title of the work, or null if
+  // it isn't one. The name has to be an inverted name or carry dates, and the
+  // period can't end an initial or abbreviation ("Smith, J. R.", "fl. 1620", "Smt.").
+  function splitNameTitle(heading) {
+    const boundary = /\.\s+(?=[A-Z\u00C0-\uFFFF])/g;
+    let match;
+    
+    while ((match = boundary.exec(heading)) !== null) {
+      const name = heading.slice(0, match.index);
+      const word = foldText(name.split(/[\s,]+/).pop());
+      if (!/(?:[A-Za-z\u00C0-\uFFFF]{3}|\d)$/.test(name) || HONORIFICS.concat(NAME_TITLES, NAME_SUFFIXES).indexOf(word) >= 0) continue;
+      
+      const parsed = parseNameParts(name);
+      if (parsed && (parsed.inverted || parsed.dates)) {
+        return { name: name, work: heading.slice(match.index + match[0].length).replace(/[\s.,;:\/]+$/, '') };
+      }
+    }
+    return null;
+  }
+  
+  function parseNameParts(heading) {
+    const segments = heading.trim().replace(/[\s,;:\/]+$/, '').split(/,(?![^()]*\))/).map(segment => segment.trim());
+    const name = { surname: null, forenames: '', fullerForm: null, numeration: null, titles: [], dates: null, relator: null, inverted: false };
+    const relators = [];
+    
+    // Relator terms and dates come last, in that order from the end
+    while (segments.length > 1) {
+      const last = segments[segments.length - 1];
+      const term = last.replace(/\.$/, '').toLowerCase();
+      // A lower-case second segment is more likely forenames ("hooks, bell")
+      if (RELATOR_TERMS.indexOf(term) < 0 && !(segments.length > 2 && /^[a-z][a-z .\-]*$/.test(last))) break;
+      relators.unshift(segments.pop());
+    }
+    if (segments.length > 1 && parseLifeDates(segments[segments.length - 1])) {
+      name.dates = parseLifeDates(segments.pop());
+    }
+    name.relator = relators.length ? relators.join(', ') : null;
+    
+    // A parenthetical after the forenames is their fuller form if it spells them
+    // out ("J. R. (John Robert)"), otherwise a qualifier kept with the titles
+    const setAsideParenthetical = (segment) => {
+      const parenthetical = segment.match(/\s*\(([^)]+)\)\s*/);
+      if (!parenthetical) return segment;
+      
+      const rest = segment.replace(parenthetical[0], ' ').trim();
+      if (!rest || initials(parenthetical[1]).indexOf(initials(rest)) === 0) {
+        name.fullerForm = parenthetical[1].trim();
+      } else {
+        name.titles.push(parenthetical[1].trim());
+      }
+      return rest;
+    };
+    
+    const first = segments.shift();
+    const numbered = first.match(/^(.*\S)\s+([IVXLCDM]+)\.?$/);
+    
+    if (numbered || segments.length === 0) {
+      // Entered under the forename: "John Paul II, Pope", "Kalidasa"
+      name.forenames = setAsideParenthetical(numbered ? numbered[1] : first);
+      name.numeration = numbered ? numbered[2] : null;
+      name.titles = name.titles.concat(segments);
+    } else {
+      name.surname = first;
+      name.inverted = true;
+      if (!isNameTitle(segments[0])) {
+        name.forenames = setAsideParenthetical(segments.shift());
+      }
+      if (segments.some(segment => !isNameTitle(segment))) return null;
+      name.titles = name.titles.concat(segments);
+    }
+    
+    if (!(name.surname || name.forenames) || /\d/.test([name.surname, name.forenames].join(' '))) return null;
+    return name;
+  }
+  
+  // Search forms for a parsed name, the likeliest article title first, each with
+  // the name parts the scorers compare: "Rabindranath Tagore"; "J. R. R. Tolkien",
+  // then "John Ronald Reuel Tolkien"; "Mahatma Gandhi"; "John Paul II", then "Pope John Paul II"
+  function nameForms(name) {
+    const prefixes = name.titles.filter(title => NAME_TITLES.indexOf(nameWord(title)) >= 0).map(title => title.trim().split(/\s+/)[0]);
+    const suffixes = name.titles.filter(title => NAME_SUFFIXES.indexOf(nameWord(title)) >= 0);
+    const forms = [];
+    
+    const add = (term, lastName, firstAndMiddleNames) => {
+      term = term.replace(/\s+/g, ' ').trim();
+      if (forms.some(form => form.term === term)) return;
+      
+      // Names are compared without terms of address ("Shri Ram Sharma")
+      lastName = stripHonorifics(lastName);
+      firstAndMiddleNames = stripHonorifics(firstAndMiddleNames);
+      
+      // Only consider parts with at least 2 characters
+      const words = (name.inverted ? firstAndMiddleNames : lastName).split(/\s+/).filter(part => part.length > 1);
+      forms.push({
+        term: term,
+        lastName: lastName,
+        firstAndMiddleNames: firstAndMiddleNames,
+        nameParts: name.inverted ? [lastName].concat(words) : words
+      });
+    };
+    
+    if (name.inverted) {
+      const given = [name.forenames, name.fullerForm].filter(Boolean);
+      given.forEach((forenames) => {
+        suffixes.forEach(suffix => add(`${forenames} ${name.surname} ${suffix}`, name.surname, forenames));
+        add(`${forenames} ${name.surname}`, name.surname, forenames);
+      });
+      prefixes.forEach(prefix => add(`${prefix} ${given[0] || ''} ${name.surname}`, name.surname, given[0] || prefix));
+      if (!forms.length) add(name.surname, name.surname, '');
+    } else {
+      const base = name.forenames + (name.numeration ? ' ' + name.numeration : '');
+      add(base, base, '');
+      if (name.fullerForm) add(name.fullerForm, name.fullerForm, '');
+      prefixes.forEach(prefix => add(`${prefix} ${base}`, base, ''));
+    }
+    
+    return forms;
+  }
+  
+  // Year of a Wikidata time value such as "+1861-05-07T00:00:00Z"
+  function wikidataYear(claims, property) {
+    const claim = claims && claims[property] && claims[property][0];
+    const value = claim && claim.mainsnak && claim.mainsnak.datavalue && claim.mainsnak.datavalue.value;
+    const match = value && value.time && value.time.match(/^([+-])(\d+)-/);
+    return match ? (match[1] === '-' ? -1 : 1) * parseInt(match[2], 10) : null;
+  }
+  
+  // Whether a Wikidata item is an instance of (P31) the given class
+  function isInstanceOf(claims, item) {
+    return (claims.P31 || []).some(claim => {
+      const value = claim.mainsnak && claim.mainsnak.datavalue && claim.mainsnak.datavalue.value;
+      return value && value.id === item;
+    });
+  }
+  
+  // Whether the dates in a heading contradict known birth/death years
+  function lifeDatesConflict(dates, facts) {
+    const tolerance = dates.circa ? 10 : 1;
+    const differs = (a, b) => a !== null && b !== null && Math.abs(a - b) > tolerance;
+    
+    if (differs(dates.birth, facts.birth) || differs(dates.death, facts.death)) {
+      return true;
+    }
+    
+    if (dates.flourished) {
+      const [from, to] = dates.flourished;
+      if ((facts.birth !== null && to < facts.birth - tolerance) || (facts.death !== null && from > facts.death + tolerance)) {
+        return true;
+      }
+    }
+    
+    return false;
+  }
+  
+  // Letters that NFKD leaves whole, spelled out
+  const LATIN_LETTERS = { 'ø': 'o', 'æ': 'ae', 'œ': 'oe', 'ß': 'ss', 'đ': 'd', 'ð': 'd', 'ħ': 'h', 'ı': 'i', 'ł': 'l', 'þ': 'th' };
+  
+  // ALA-LC romanisation brought to the spelling Wikipedia titles commonly use. A
+  // scheme's rules only apply when its marks give it away (and no other scheme's
+  // do), and run on the decomposed, lower-cased text before the marks are stripped.
+  const ROMANIZATION_RULES = [
+    // Russian and other Cyrillic: Dostoevskiĭ -> dostoevsky, Tolstoĭ -> tolstoy, I͡Uriĭ -> yury, T͡Svetaeva -> tsvetaeva
+    {
+      marks: /[\u0306\u0361\ufe20\ufe21\u02b9\u02ba]/,
+      rules: [
+        [/i[\u0361\ufe20]([au])\ufe21?/g, 'y$1'],
+        [/[iy]i\u0306(?![a-z])/g, 'y'],
+        [/oi\u0306(?![a-z])/g, 'oy'],
+        [/[\u0361\ufe20\ufe21]/g, '']
+      ]
+    },
+    // Arabic: ʻAbd al-Raḥmān -> abd rahman
+    {
+      marks: /[\u02bb\u02bc]|(?:^|\s)(?:al|el)-/,
+      rules: [
+        [/(^|\s)(?:al|el)-/g, '$1']
+      ]
+    },
+    // Indic: Kṛṣṇa -> krishna, Śiva -> shiva, Subhāṣa Candra -> subhasha chandra. The dot
+    // below is also Arabic and Vietnamese romanisation, so not with their marks
+    // (ʻ, al-; grave, circumflex, breve, hook above, horn)
+    {
+      marks: /\u0323|s\u0301/,
+      unless: /[\u02bb\u02bc\u0300\u0302\u0306\u0309\u031b]|(?:^|\s)(?:al|el)-/,
+      rules: [
+        [/s[\u0301\u0323]/g, 'sh'],
+        [/r\u0323\u0304?/g, 'ri'],
+        [/c(?!h)/g, 'ch']
+      ]
+    }
+  ];
+  
+  // Terms of address dropped before comparing personal names; push to this list to add more
+  const HONORIFICS = [
+    'dr', 'janab', 'kumari', 'mr', 'mrs', 'prof', 'shree', 'shri', 'shrimati', 'smt', 'sree', 'sri', 'srimati',
+    'श्री', 'श्रीमती', 'শ্রী', 'ஸ்ரீ', 'శ్రీ', 'ಶ್ರೀ', 'ശ്രീ'
+  ];
+  
+  // Fold text for comparison: compatibility decomposition (NFKD), case, diacritics
+  // and punctuation dropped, and ALA-LC romanisation brought to common spelling,
+  // so "Dostoevskiĭ, Fedor" compares with "Fyodor Dostoevsky". Other scripts keep
+  // their letters, less the marks their titles vary in (nukta, joiners, Arabic
+  // vowel signs), so a native-script heading compares with the titles of its own
+  // wiki.
+  function foldText(text) {
+    let folded = (text || '').normalize('NFKD').toLowerCase().replace(/[\u00f8\u00e6\u0153\u00df\u0111\u00f0\u0127\u0131\u0142\u00fe]/g, letter => LATIN_LETTERS[letter]);
+    
+    const decomposed = folded;
+    ROMANIZATION_RULES.forEach((scheme) => {
+      if (!scheme.marks.test(decomposed) || (scheme.unless && scheme.unless.test(decomposed))) return;
+      scheme.rules.forEach(([pattern, replacement]) => {
+        folded = folded.replace(pattern, replacement);
+      });
+    });
+    
+    folded = folded
+      .replace(/[\u0300-\u036f\u1ab0-\u1aff\u1dc0-\u1dff\u20d0-\u20ff\ufe20-\ufe2f]/g, '') // Latin diacritics
+      .replace(/[\u093c\u09bc\u0a3c\u0abc\u0b3c\u0cbc\u200c\u200d\u00ad]/g, '') // Nukta, joiners, soft hyphens
+      .replace(/[\u0901\u0981]/g, mark => String.fromCharCode(mark.charCodeAt(0) + 1)) // Chandrabindu as anusvara
+      .replace(/[\u064b-\u065f\u0670\u0640]/g, '') // Arabic vowel signs and tatweel
+      .replace(/\u0671/g, '\u0627').replace(/[\u0649\u06cc]/g, '\u064a').replace(/\u06a9/g, '\u0643').replace(/[\u06c1\u0629]/g, '\u0647')
+      .replace(/['`\u00b4\u2018\u2019\u02b9\u02ba\u02bb\u02bc]/g, '')
+      .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+      .trim();
+    
+    return folded;
+  }
+  
+  // A personal name without its terms of address ("Shri", "Dr."), unless that is all there is
+  function stripHonorifics(name) {
+    const words = name.split(/\s+/).filter(word => HONORIFICS.indexOf(foldText(word)) < 0);
+    return words.length ? words.join(' ') : name;
+  }
+  
+  // Folded name parts long enough to compare, so that an initial doesn't match any letter
+  function foldedParts(nameParts) {
+    return nameParts.map(foldText).filter(part => part.length > 1);
+  }
+  
+  // Remove duplicates while keeping the first occurrence
+  function uniqueValues(values) {
+    return values.filter((value, i) => value && values.indexOf(value) === i);
+  }
+  
+  function isPlainObject(value) {
+    if (Object.prototype.toString.call(value) !== '[object Object]') return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === null || proto === Object.prototype;
+  }
+  
+  // Deep copy of plain objects from each source onto target, later sources
+  // winning; arrays and everything else are replaced, not merged
+  function merge(target, ...sources) {
+    sources.forEach((source) => {
+      Object.keys(source || {}).forEach((key) => {
+        const value = source[key];
+        if (isPlainObject(value)) {
+          target[key] = merge(isPlainObject(target[key]) ? target[key] : {}, value);
+        } else if (value !== undefined) {
+          target[key] = Array.isArray(value) ? value.slice() : value;
+        }
+      });
+    });
+    return target;
+  }
+  
+  // Console output up to a level from LOG_LEVELS
+  function Logger(level) {
+    this.level = LOG_LEVELS[level] !== undefined ? LOG_LEVELS[level] : LOG_LEVELS.error;
+  }
+  
+  Object.assign(Logger.prototype, {
+    error: function(...args) {
+      if (this.level >= LOG_LEVELS.error) console.error('[wikipediaSearch]', ...args);
+    },
+    
+    info: function(...args) {
+      if (this.level >= LOG_LEVELS.info) console.info('[wikipediaSearch]', ...args);
+    },
+    
+    debug: function(...args) {
+      if (this.level >= LOG_LEVELS.debug) console.log('[wikipediaSearch]', ...args);
+    }
+  });
+  
+  // Short form of a type's raw results for the decision trace
+  function summarizeResults(results) {
+    if (results && results.query && results.query.search) {
+      return results.query.search.map(result => ({ title: result.title, snippet: result.snippet }));
+    }
+    return Array.isArray(results) ? results.map(summarizeResults) : results;
+  }
+  
+  // Collects exact-title lookups made during the same tick and resolves them
+  // with as few action=query&titles=A|B|C requests as possible
+  function TitleBatcher(apiUrl, request) {
+    this.apiUrl = apiUrl;
+    this.request = request;
+    this.waiting = {};
+    this.timer = null;
+  }
+  
+  Object.assign(TitleBatcher.prototype, {
+    // Resolves with { title, exists, redirect, disambiguation, target, item, coordinates }
+    lookup: function(title) {
+      if (!this.waiting[title]) {
+        const entry = {};
+        entry.promise = new Promise((resolve, reject) => {
+          entry.resolve = resolve;
+          entry.reject = reject;
+        });
+        this.waiting[title] = entry;
+      }
+      
+      if (!this.timer) {
+        this.timer = setTimeout(() => this.flush(), 0);
+      }
+      
+      return this.waiting[title].promise;
+    },
+    
+    flush: function() {
+      const waiting = this.waiting;
+      const titles = Object.keys(waiting);
+      this.waiting = {};
+      this.timer = null;
+      
+      for (let i = 0; i < titles.length; i += MAX_TITLES_PER_QUERY) {
+        const chunk = titles.slice(i, i + MAX_TITLES_PER_QUERY);
+        
+        this.request(this.apiUrl, {
+          action: 'query',
+          titles: chunk.join('|'),
+          redirects: 1,
+          prop: 'pageprops|coordinates',
+          ppprop: 'disambiguation|wikibase_item',
+          format: 'json',
+          formatversion: 2,
+          origin: '*'
+        }).then((data) => {
+          const pages = this.parsePages(data);
+          chunk.forEach(title => waiting[title].resolve(pages(title)));
+        }, (error) => {
+          chunk.forEach(title => waiting[title].reject(error));
+        });
+      }
+    },
+    
+    // Build a resolver from requested title to page info for a query response
+    parsePages: function(data) {
+      const query = (data && data.query) || {};
+      const normalized = {};
+      const redirects = {};
+      const pages = {};
+      
+      (query.normalized || []).forEach(n => { normalized[n.from] = n.to; });
+      (query.redirects || []).forEach(r => { redirects[r.from] = r.to; });
+      (query.pages || []).forEach(page => { pages[page.title] = page; });
+      
+      return (title) => {
+        const name = normalized[title] || title;
+        const target = redirects[name] || name;
+        const page = pages[target];
+        const exists = !!page && !page.missing && !page.invalid;
+        
+        return {
+          title: title,
+          exists: exists,
+          redirect: target !== name,
+          disambiguation: exists && !!(page.pageprops && page.pageprops.disambiguation !== undefined),
+          target: exists ? page.title : null,
+          item: exists && page.pageprops ? page.pageprops.wikibase_item || null : null,
+          coordinates: exists && !!page.coordinates
+        };
+      };
+    }
+  });
+  
+  // Words of a search snippet with the search highlighting removed
+  function snippetWords(result) {
+    return (result.snippet || '').replace(/<\/?span[^>]*>/g, '').split(/\s+/);
+  }
+  
+  // Whether a title contains one of the name parts, exactly or within a similarity threshold
+  function titleContainsNamePart(title, nameParts, threshold) {
+    const folded = foldText(title);
+    const titleWords = folded.split(' ');
+    
+    return foldedParts(nameParts).some(part => {
+      if (!threshold) return folded.includes(part);
+      return titleWords.some(word => stringSimilarity(part, word) >= threshold);
+    });
+  }
+  
+  // Built-in match signals. Each scorer gets a candidate ({ title, result, rank })
+  // and a context ({ type, term, thresholds, ... }) and returns { score, reason }
+  // with a score between 0 and 1, or null when the signal doesn't apply.
+  // `this` is the matcher.
+  const BUILTIN_SCORERS = {
+    exactTitle: {
+      types: ['subject'],
+      weight: 1,
+      score: function(candidate, context) {
+        if (foldText(candidate.title) !== foldText(context.term)) return null;
+        return { score: 1, reason: 'title equals search term' };
+      }
+    },
+    
+    titleSimilarity: {
+      types: ['subject'],
+      weight: 0.9,
+      score: function(candidate, context) {
+        const similarity = stringSimilarity(foldText(context.term), foldText(candidate.title));
+        if (similarity < context.thresholds.closeSimilarity) return null;
+        return { score: similarity / 100, reason: `title ${similarity.toFixed(2)}% similar` };
+      }
+    },
+    
+    termInTitle: {
+      types: ['subject'],
+      weight: 0.8,
+      score: function(candidate, context) {
+        if (!foldText(candidate.title).includes(foldText(context.term))) return null;
+        return { score: 1, reason: 'search term is part of title' };
+      }
+    },
+    
+    titleInTerm: {
+      types: ['subject'],
+      weight: 0.7,
+      score: function(candidate, context) {
+        if (!foldText(context.term).includes(foldText(candidate.title))) return null;
+        return { score: 1, reason: 'title is part of search term' };
+      }
+    },
+    
+    firstResult: {
+      types: ['subject'],
+      weight: 0.6,
+      score: function(candidate, context) {
+        if (candidate.rank !== 0) return null;
+        const similarity = stringSimilarity(foldText(context.term), foldText(candidate.title));
+        if (similarity < context.thresholds.firstResultSimilarity) return null;
+        return { score: 1, reason: `first result, ${similarity.toFixed(2)}% similar` };
+      }
+    },
+    
+    nameInTitle: {
+      types: ['name'],
+      weight: 1,
+      score: function(candidate, context) {
+        const title = foldText(candidate.title);
+        if (!title.includes(foldText(context.lastName)) || !title.includes(foldText(context.firstAndMiddleNames))) return null;
+        return { score: 1, reason: 'last name and forenames in title' };
+      }
+    },
+    
+    initialsInTitle: {
+      types: ['name'],
+      weight: 0.9,
+      score: function(candidate, context) {
+        const title = foldText(candidate.title);
+        if (!title.includes(foldText(context.lastName))) return null;
+        
+        const firstNameInitials = foldText(context.firstAndMiddleNames)
+          .replace(/\s/g, '')
+          .split('');
+        
+        const matchedInitials = title.split(' ')
+          .filter(word => word.length > 0 && firstNameInitials.includes(word[0]))
+          .length;
+        
+        if (matchedInitials < firstNameInitials.length) return null;
+        return { score: 1, reason: 'last name and initials in title' };
+      }
+    },
+    
+    // Famous people are often known by another name, so look for the heading's
+    // name parts close together in the snippet of the first result
+    snippetProximity: {
+      types: ['name'],
+      weight: 0.8,
+      score: function(candidate, context) {
+        if (candidate.rank !== 0) return null;
+        
+        const words = snippetWords(candidate.result);
+        const namePartPositions = {};
+        
+        for (const part of context.nameParts) {
+          namePartPositions[part] = [];
+          words.forEach((word, i) => {
+            if (foldText(word) === foldText(part)) {
+              namePartPositions[part].push(i);
+            }
+          });
+          if (namePartPositions[part].length === 0) return null;
+        }
+        
+        if (!this.checkNamePartsProximity(namePartPositions, context.nameParts, context.thresholds.maxDistance).inProximity) return null;
+        // The title must contain a name part too, e.g. "Sati, Vishwambhar Prasad" must not match "Nautiyal"
+        if (!titleContainsNamePart(candidate.title, context.nameParts)) return null;
+        return { score: 1, reason: 'name parts close together in snippet' };
+      }
+    },
+    
+    snippetFuzzyProximity: {
+      types: ['name'],
+      weight: 0.75,
+      score: function(candidate, context) {
+        if (candidate.rank !== 0) return null;
+        
+        const thresholds = context.thresholds;
+        const fuzzyMatches = this.findFuzzyNameMatches(context.nameParts, snippetWords(candidate.result), thresholds.fuzzySimilarity);
+        
+        if (!fuzzyMatches.allPartsMatched) return null;
+        if (!this.checkFuzzyMatchesProximity(fuzzyMatches.matches, thresholds.maxDistance).inProximity) return null;
+        if (!titleContainsNamePart(candidate.title, context.nameParts, thresholds.fuzzySimilarity)) return null;
+        return { score: 1, reason: 'similar name parts close together in snippet' };
+      }
+    },
+    
+    snippetParts: {
+      types: ['name'],
+      weight: 0.7,
+      score: function(candidate, context) {
+        if (candidate.rank !== 0) return null;
+        
+        const snippet = foldText(snippetWords(candidate.result).join(' '));
+        const parts = foldedParts(context.nameParts);
+        if (!parts.length || !parts.every(part => snippet.includes(part))) return null;
+        if (!titleContainsNamePart(candidate.title, context.nameParts)) return null;
+        return { score: 1, reason: 'all name parts in snippet' };
+      }
+    },
+    
+    snippetFuzzy: {
+      types: ['name'],
+      weight: 0.65,
+      score: function(candidate, context) {
+        if (candidate.rank !== 0) return null;
+        
+        const threshold = context.thresholds.fuzzySimilarity;
+        const words = snippetWords(candidate.result)
+          .map(foldText)
+          .filter(word => word.length >= 3); // Skip very short words
+        
+        const fuzzyMatch = context.nameParts.every(part =>
+          words.some(word => stringSimilarity(foldText(part), word) >= threshold)
+        );
+        
+        if (!fuzzyMatch || !titleContainsNamePart(candidate.title, context.nameParts, threshold)) return null;
+        return { score: 1, reason: 'similar name parts in snippet' };
+      }
+    }
+  };
+  
+  // Resolve an exact-title lookup from the title batcher to a match
+  function exactTitleMatch(page, context, label) {
+    if (page.disambiguation) {
+      context.rejected.push({ title: page.target, reason: 'disambiguation' });
+      return null;
+    }
+    
+    if (page.exists && context.consider({ title: page.target })) {
+      context.log.debug(`Exact match found for ${label} "${page.title}"${page.redirect ? ` (redirects to "${page.target}")` : ''}`);
+      return page.redirect ? { title: page.target, variant: page.title } : page.target;
+    }
+    return null;
+  }
+  
+  // Split a corporate heading into its period-separated hierarchy
+  // ("United States. Congress. Senate"), or null if it doesn't look like one
+  function splitCorporateHierarchy(text) {
+    const segments = text.split(/\.\s+(?=[A-Z0-9])/).map(segment => segment.replace(/\.$/, '').trim());
+    
+    // Initials and abbreviations ("Smith, J. R.", "St. Paul") are not hierarchy levels
+    if (segments.length < 2 || segments.some(segment => segment.replace(/[^A-Za-z\u00C0-\uFFFF]/g, '').length < 3)) {
+      return null;
+    }
+    return segments;
+  }
+  
+  // Search terms for a corporate hierarchy, from most to least specific:
+  // "United States Congress Senate", "United States Senate", "United States Congress", "United States"
+  function corporateSearchTerms(segments) {
+    const terms = [];
+    
+    for (let n = segments.length; n >= 1; n--) {
+      terms.push(segments.slice(0, n).join(' '));
+      if (n >= 2) {
+        terms.push(segments[0] + ' ' + segments[n - 1]);
+      }
+    }
+    return uniqueValues(terms);
+  }
+  
+  // Parse a meeting qualifier such as "52nd : 1947 : Delhi" into its parts,
+  // keeping the original separators so the heading can be rebuilt as displayed
+  function parseMeetingQualifier(qualifier) {
+    const pieces = qualifier.split(/(\s*:\s*)/);
+    
+    // A lone ordinal ("52nd") is a meeting number too
+    if (pieces.length === 1 && !/^\d+(?:st|nd|rd|th|d)\.?$/i.test(qualifier.trim())) {
+      return null;
+    }
+    
+    return pieces.map((text, i) => {
+      if (i % 2 === 1) return { kind: 'separator', text: text };
+      if (/^\d+(?:st|nd|rd|th|d)\.?$/i.test(text.trim())) return { kind: 'number', text: text };
+      if (/\b\d{4}\b/.test(text) && !/[a-z]{4,}/i.test(text.replace(/\b(?:Jan|Feb|Mar|Apr|May|June?|July?|Aug|Sept?|Oct|Nov|Dec)\b\.?/gi, ''))) {
+        return { kind: 'date', text: text };
+      }
+      return { kind: 'place', text: text };
+    });
+  }
+  
+  // Free-floating form subdivisions describe what an item is rather than what
+  // it is about, so they are never linked
+  const FORM_SUBDIVISIONS = [
+    'Abstracts', 'Addresses, essays, lectures', 'Anecdotes', 'Atlases', 'Bibliography', 'Biography',
+    'Caricatures and cartoons', 'Case studies', 'Catalogs', 'Collected works', 'Comic books, strips, etc.',
+    'Congresses', 'Correspondence', 'Databases', 'Diaries', 'Dictionaries', 'Directories', 'Drama',
+    'Early works to 1800', 'Encyclopedias', 'Examinations, questions, etc.', 'Exhibitions', 'Fiction',
+    'Guidebooks', 'Handbooks, manuals, etc.', 'Humor', 'Indexes', 'Interviews', 'Juvenile fiction',
+    'Juvenile films', 'Juvenile literature', 'Juvenile poetry', 'Maps', 'Miscellanea', 'Outlines, syllabi, etc.',
+    'Periodicals', 'Personal narratives', 'Pictorial works', 'Poetry', 'Popular works', 'Problems, exercises, etc.',
+    'Quotations', 'Registers', 'Sources', 'Specimens', 'Statistics', 'Study guides', 'Textbooks', 'Translations'
+  ];
+  
+  // Abbreviated qualifiers of LC place names ("Cambridge (Mass.)")
+  const PLACE_QUALIFIERS = {
+    'Ala.': 'Alabama', 'Ariz.': 'Arizona', 'Ark.': 'Arkansas', 'Calif.': 'California', 'Colo.': 'Colorado',
+    'Conn.': 'Connecticut', 'Del.': 'Delaware', 'D.C.': 'Washington, D.C.', 'Fla.': 'Florida', 'Ga.': 'Georgia',
+    'Ill.': 'Illinois', 'Ind.': 'Indiana', 'Kan.': 'Kansas', 'Ky.': 'Kentucky', 'La.': 'Louisiana', 'Me.': 'Maine',
+    'Md.': 'Maryland', 'Mass.': 'Massachusetts', 'Mich.': 'Michigan', 'Minn.': 'Minnesota', 'Miss.': 'Mississippi',
+    'Mo.': 'Missouri', 'Mont.': 'Montana', 'Neb.': 'Nebraska', 'Nev.': 'Nevada', 'N.H.': 'New Hampshire',
+    'N.J.': 'New Jersey', 'N.M.': 'New Mexico', 'N.Y.': 'New York', 'N.C.': 'North Carolina', 'N.D.': 'North Dakota',
+    'Okla.': 'Oklahoma', 'Or.': 'Oregon', 'Pa.': 'Pennsylvania', 'R.I.': 'Rhode Island', 'S.C.': 'South Carolina',
+    'S.D.': 'South Dakota', 'Tenn.': 'Tennessee', 'Tex.': 'Texas', 'Vt.': 'Vermont', 'Va.': 'Virginia',
+    'Wash.': 'Washington', 'W. Va.': 'West Virginia', 'Wis.': 'Wisconsin', 'Wyo.': 'Wyoming',
+    'Alta.': 'Alberta', 'B.C.': 'British Columbia', 'Man.': 'Manitoba', 'N.B.': 'New Brunswick',
+    'Nfld.': 'Newfoundland and Labrador', 'N.S.': 'Nova Scotia', 'Ont.': 'Ontario', 'P.E.I.': 'Prince Edward Island',
+    'Sask.': 'Saskatchewan', 'N.S.W.': 'New South Wales', 'Qld.': 'Queensland', 'Vic.': 'Victoria'
+  };
+  
+  // Jurisdictions recognised as places without asking the API first
+  const PLACE_NAMES = [
+    'Afghanistan', 'Australia', 'Bangladesh', 'Bhutan', 'Brazil', 'Burma', 'Canada', 'China', 'Egypt', 'England',
+    'France', 'Germany', 'Great Britain', 'Greece', 'India', 'Indonesia', 'Iran', 'Iraq', 'Ireland', 'Israel',
+    'Italy', 'Japan', 'Kenya', 'Malaysia', 'Maldives', 'Mexico', 'Nepal', 'Netherlands',
+    'New Zealand', 'Nigeria', 'Pakistan', 'Russia', 'Scotland', 'Singapore', 'South Africa', 'Spain',
+    'Sri Lanka', 'Thailand', 'Tibet', 'Turkey', 'United States', 'Wales',
+    'Andhra Pradesh', 'Arunachal Pradesh', 'Assam', 'Bihar', 'Chhattisgarh', 'Goa', 'Gujarat', 'Haryana',
+    'Himachal Pradesh', 'Jammu and Kashmir', 'Jharkhand', 'Karnataka', 'Kerala', 'Madhya Pradesh', 'Maharashtra',
+    'Manipur', 'Meghalaya', 'Mizoram', 'Nagaland', 'Odisha', 'Orissa', 'Punjab', 'Rajasthan', 'Sikkim',
+    'Tamil Nadu', 'Telangana', 'Tripura', 'Uttar Pradesh', 'Uttarakhand', 'West Bengal'
+  ];
+  
+  // Topical subdivisions that read with the heading before them as one
+  // article title ("India -- History" is "History of India")
+  const SUBDIVISION_CONTEXTS = {
+    'Antiquities': 'Archaeology of {topic}',
+    'Civilization': 'Culture of {topic}',
+    'Climate': 'Climate of {topic}',
+    'Description and travel': 'Tourism in {topic}',
+    'Economic conditions': 'Economy of {topic}',
+    'Foreign relations': 'Foreign relations of {topic}',
+    'Geography': 'Geography of {topic}',
+    'History': 'History of {topic}',
+    'Languages': 'Languages of {topic}',
+    'Military history': 'Military history of {topic}',
+    'Politics and government': 'Politics of {topic}',
+    'Population': 'Demographics of {topic}',
+    'Religion': 'Religion in {topic}',
+    'Social conditions': 'Society of {topic}',
+    'Social life and customs': 'Culture of {topic}'
+  };
+  
+  // Compare subdivisions without regard to case, diacritics or punctuation
+  function subdivisionKey(text) {
+    return foldText(text);
+  }
+  
+  // Dates in chronological headings: "20th century", "1940s", "500 B.C.", "ca. 1200"
+  const CHRONOLOGY_PATTERN = /(\d{1,2})(?:st|nd|rd|th|d)\b(\s+centur(?:y|ies))?|(\d{1,3}0)'?s\b|(\d{1,4})(?![\d'])(?:\s*(B\.?\s?C\.?(?:\s?E\.?)?|A\.?\s?D\.?|C\.?E\.?)(?![a-z]))?/gi;
+  
+  // Words allowed around the dates of a chronological heading
+  const CHRONOLOGY_FILLER = /^[\s\-–—,.:?]*(?:(?:to|ca|circa|approximately|centur(?:y|ies)|B\.?\s?C|B\.?\s?C\.?\s?E|A\.?\s?D|C\.?E)\b[\s\-–—,.:?]*)*$/i;
+  
+  function ordinal(n) {
+    const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' })[n % 10] || 'th';
+    return n + suffix;
+  }
+  
+  // Article title for a single date: "20th century", "5th century BC", "1940s", "AD 33", "1947"
+  function chronologyTitle(piece) {
+    const era = piece.bc ? ' BC' : '';
+    if (piece.kind === 'century') return ordinal(piece.value) + ' century' + era;
+    if (piece.kind === 'decade') return piece.value + 's' + era;
+    if (piece.bc) return piece.value + ' BC';
+    return piece.value <= 100 ? 'AD ' + piece.value : String(piece.value);
+  }
+  
+  // First and last year covered by a single date, years BC being negative
+  function chronologySpan(piece) {
+    const span = piece.kind === 'century' ? [(piece.value - 1) * 100 + 1, piece.value * 100] :
+      piece.kind === 'decade' ? [piece.value, piece.value + 9] : [piece.value, piece.value];
+    return piece.bc ? [-span[1], -span[0]] : span;
+  }
+  
+  // Named periods that lack a word like "era" or "dynasty"; push to this list to add more
+  const PERIOD_NAMES = [
+    'Counter-Reformation', 'Cold War', 'Delhi Sultanate', 'Enlightenment', 'Great Depression', 'Industrial Revolution',
+    'Mesolithic', 'Neolithic', 'Paleolithic', 'Reformation', 'Renaissance'
+  ];
+  
+  // Whether the name before a chronological subdivision is a period ("Middle Ages",
+  // "Meiji period", "Mughal Empire") rather than an event or topic with dates
+  // ("World War, 1939-1945"), which is searched for as a subject
+  function isPeriodName(name) {
+    const key = foldText(name);
+    return /\b(?:age|ages|dynasty|empire|epoch|era|period|sultanate)$/.test(key) ||
+      PERIOD_NAMES.some(period => foldText(period) === key);
+  }
+  
+  // Parse a chronological heading or subdivision ("1947-", "To 1500", "ca. 1200",
+  // "16th-18th centuries", "500-400 B.C.", "Middle Ages, 600-1500") into the dates
+  // it names, each with its article title, and the years it covers (start or end
+  // is null for an open range). A leading period name is kept, as it may have an
+  // article of its own. Returns null if the text isn't chronological.
+  function parseChronology(text) {
+    const named = text.match(/^([^\d,]+?),\s*(.+)$/);
+    if (named && !isPeriodName(named[1])) return null;
+    
+    const dates = named ? named[2] : text;
+    const offset = text.length - dates.length;
+    const pieces = [];
+    let match;
+    
+    CHRONOLOGY_PATTERN.lastIndex = 0;
+    while ((match = CHRONOLOGY_PATTERN.exec(dates)) !== null) {
+      const era = match[5] ? match[5].replace(/[\s.]/g, '').toUpperCase() : null;
+      pieces.push({
+        text: match[0],
+        index: offset + match.index,
+        kind: match[2] ? 'century' : match[1] ? 'ordinal' : match[3] ? 'decade' : 'year',
+        value: parseInt(match[1] || match[3] || match[4], 10),
+        bc: era ? era.indexOf('B') === 0 : null
+      });
+    }
+    
+    if (pieces.length === 0 || pieces.length > 2 || !CHRONOLOGY_FILLER.test(dates.replace(CHRONOLOGY_PATTERN, ' '))) {
+      return null;
+    }
+    
+    // "16th-18th centuries": the first ordinal is a century too
+    pieces.forEach((piece) => {
+      if (piece.kind === 'ordinal' && /centur(?:y|ies)/i.test(dates)) piece.kind = 'century';
+    });
+    if (pieces.some(piece => piece.kind === 'ordinal')) return null;
+    
+    // An era stated once ("500-400 B.C.", "5th-4th centuries B.C.") applies to
+    // the whole range; a BC start with no stated end era runs into AD
+    const era = pieces.map(piece => piece.bc).filter(bc => bc !== null).pop();
+    pieces.forEach((piece, i) => {
+      if (piece.bc === null) piece.bc = i === 0 && era === true;
+      piece.title = chronologyTitle(piece);
+    });
+    if (/\bB\.?\s?C\b/i.test(dates) && pieces.every(piece => !piece.bc)) {
+      pieces.forEach((piece) => { piece.bc = true; piece.title = chronologyTitle(piece); });
+    }
+    
+    const first = chronologySpan(pieces[0]);
+    const last = chronologySpan(pieces[pieces.length - 1]);
+    const openStart = /^\s*to\b/i.test(dates);
+    const openEnd = pieces.length === 1 && /[-–—]\s*$/.test(dates);
+    
+    return {
+      name: named ? named[1].trim() : null,
+      pieces: pieces,
+      circa: /\b(?:ca|circa|approximately)\b/i.test(dates),
+      start: openStart ? null : first[0],
+      end: openEnd ? null : last[1]
+    };
+  }
+  
+  // Period article for a whole range: its name if it has one ("Middle Ages"), or
+  // the century or decade a range of years covers exactly ("1901-2000")
+  function periodTitle(chronology) {
+    if (chronology.name) return chronology.name;
+    if (chronology.pieces.length !== 2 || chronology.start === null || chronology.end === null) return null;
+    
+    const start = chronology.start;
+    const end = chronology.end;
+    const bc = end < 0;
+    const from = Math.abs(bc ? end : start);
+    const to = Math.abs(bc ? start : end);
+    
+    if (to - from === 99 && from % 100 === 1) {
+      return chronologyTitle({ kind: 'century', value: to / 100, bc: bc });
+    }
+    if (to - from === 9 && from % 10 === 0) {
+      return chronologyTitle({ kind: 'decade', value: from, bc: bc });
+    }
+    return null;
+  }
+  
+  // Split an LC place name ("Cambridge (Mass.)") into the place and its spelled-out qualifier
+  function parsePlaceName(text) {
+    const qualified = text.match(/^(.*?)\s*\(([^)]+)\)$/);
+    if (!qualified) return { name: text.trim(), qualifier: null };
+    
+    const qualifier = qualified[2].trim();
+    return { name: qualified[1].trim(), qualifier: PLACE_QUALIFIERS[qualifier] || qualifier };
+  }
+  
+  // Headings are compared to overrides folded, without case, diacritics or punctuation
+  function overrideKey(text) {
+    return foldText(text);
+  }
+  
+  // Turn the overrides option into a list of rules. Either form is accepted:
+  //   { 'Heading': 'Title', 'Heading': { search: 'Term' }, 'Heading': false }
+  //   [{ match | prefix | pattern, title | search | link: false | exclude: [titles], type, lang }]
+  // A rule that can't be used (not an object, or a pattern that doesn't compile)
+  // is logged and left out, so one mistake doesn't cost the other rules.
+  function parseOverrides(overrides, log) {
+    if (!overrides) return [];
+    
+    if (Array.isArray(overrides)) {
+      return overrides.map((rule) => {
+        if (!rule || typeof rule !== 'object') {
+          (log || new Logger(defaults.logLevel)).error('Skipping override that is not a rule:', rule);
+          return null;
+        }
+        if (rule.pattern === undefined || rule.pattern instanceof RegExp) return rule;
+        
+        try {
+          return Object.assign({}, rule, { pattern: new RegExp(rule.pattern, 'i') });
+        } catch (e) {
+          (log || new Logger(defaults.logLevel)).error(`Skipping override with an invalid pattern "${rule.pattern}":`, e);
+          return null;
+        }
+      }).filter(rule => rule);
+    }
+    
+    if (typeof overrides !== 'object') {
+      (log || new Logger(defaults.logLevel)).error('Skipping overrides that are neither a list of rules nor an object:', overrides);
+      return [];
+    }
+    
+    return Object.keys(overrides).map((heading) => {
+      const value = overrides[heading];
+      const action = typeof value === 'string' ? { title: value } : (value === false || value === null ? { link: false } : value);
+      return Object.assign({ match: heading }, action);
+    });
+  }
+  
+  // Stable cache key suffix for a set of authority identifiers
+  function authorityKey(ids) {
+    return ids.length > 0 ? '|' + ids.map(id => id.property + '=' + id.value).sort().join('|') : '';
+  }
+  
+  // Registry of heading types. A type definition may have:
+  //   detect            function(text, position) telling whether a subject component is of this type;
+  //                     position is 'heading' for a whole component before its qualifier is split
+  //                     off, 'component' for the component proper and 'qualifier' for the qualifier
+  //   priority          order in which detect is tried, lower first (default 50)
+  //   normalize         function(text) returning the query, { term, key, ... }
+  //   search            function(query, lang) returning a promise for the raw results
+  //   match             function(results, query, context) returning the title, { title, score, reasons } or null;
+  //                     context.consider(candidate) must approve each candidate before it is chosen
+  //   authorities       true to try the heading's authority identifiers before searching
+  //   process           function(text, target) handling a whole heading of this type, e.g. by
+  //                     taking it apart; without it the heading is looked up as it is
+  //   processComponent  function(text, target) handling a subject component detected as this type
+  // These are called with the matcher as `this`. The jQuery plugin adds the
+  // selector of the elements processed as each type.
+  const entityTypes = {};
+  
+  function registerType(name, definition) {
+    entityTypes[name] = Object.assign({}, entityTypes[name], definition);
+  }
+  
+  registerType('name', {
+    priority: 40,
+    authorities: true,
+    detect: function(text, position) {
+      return position === 'component' && this.looksLikePersonName(text);
+    },
+    process: function(text, target) {
+      return this.processName(text, target);
+    },
+    normalize: function(text) {
+      // A heading that doesn't parse as a name is searched for as it is
+      const name = parseName(text) || { surname: null, forenames: text.trim(), fullerForm: null, numeration: null, titles: [], dates: null, relator: null, inverted: false };
+      const forms = nameForms(name);
+      
+      return Object.assign({
+        key: forms[0].term + (name.dates ? '|' + name.dates.text : ''),
+        name: name,
+        dates: name.dates,
+        forms: forms.slice(0, this.settings.maxNameQueries)
+      }, forms[0]);
+    },
+    search: function(query, lang) {
+      return this.wp_searchWikipedia(query.term, lang);
+    },
+    match: function(data, query, context) {
+      // Go through the query forms in rank order, only searching for the next
+      // one when a form has found nobody
+      const tryForm = (i, data) => {
+        const form = Object.assign({}, query, query.forms[i]);
+        
+        if (!data || !data.query || !data.query.search || data.query.search.length === 0) {
+          this.log.debug(`No Wikipedia results for "${form.term}"`);
+          return nextForm(i);
+        }
+        
+        const ranked = this.rankCandidates('name', data.query.search, Object.assign({ originalText: context.originalText, target: context.target }, form));
+        
+        // Take the best candidate that is actually an article about this person
+        return this.firstVerified(ranked, title => this.verifyName(title, query.dates, context.lang), context, context.originalText).then((match) => {
+          if (!match) return nextForm(i);
+          return i > 0 ? Object.assign(match, { reasons: match.reasons.concat(['name form: "' + form.term + '"']) }) : match;
+        });
+      };
+      
+      const nextForm = (i) => {
+        if (i + 1 >= query.forms.length) return null;
+        
+        const term = query.forms[i + 1].term;
+        return Promise.resolve(this.wp_searchWikipedia(term, context.lang)).then((results) => {
+          this.trace(context.target, 'results', { lang: context.lang, term: term, results: summarizeResults(results) });
+          return tryForm(i + 1, results);
+        });
+      };
+      
+      return tryForm(0, data);
+    }
+  });
+  
+  registerType('subject', {
+    priority: 100,
+    authorities: true,
+    process: function(text, target) {
+      return this.processSubject(text, target);
+    },
+    normalize: text => ({ term: text }),
+    search: function(query, lang) {
+      return this.wp_searchWikipedia(query.term, lang);
+    },
+    match: function(data, query, context) {
+      if (!data || !data.query || !data.query.search || data.query.search.length === 0) {
+        this.log.debug(`No Wikipedia results for "${query.term}"`);
+        return null;
+      }
+      
+      const ranked = this.rankCandidates('subject', data.query.search, { term: query.term, originalText: context.originalText, target: context.target });
+      
+      // Take the best candidate that isn't a disambiguation page
+      return this.firstVerified(ranked, title => this.verifySubject(title, context.lang), context, query.term);
+    }
+  });
+  
+  // Corporate bodies (MARC 110/610) and meetings (111/611). The hierarchy is
+  // walked from the most to the least specific level until an article is found.
+  registerType('corporate', {
+    priority: 20,
+    authorities: true,
+    detect: function(text, position) {
+      if (position !== 'heading') return false;
+      
+      const meeting = text.match(/^(.*?)\s*\(([^)]+)\)$/);
+      if (meeting && parseMeetingQualifier(meeting[2])) return true;
+      
+      // A name/title heading ("Shakespeare, William, 1564-1616. Hamlet") is a person's
+      const body = meeting ? meeting[1] : text;
+      return !this.looksLikePersonName(body) && !!splitCorporateHierarchy(body);
+    },
+    processComponent: function(text, target) {
+      return this.processCorporateName(text, target);
+    },
+    normalize: function(text) {
+      const segments = splitCorporateHierarchy(text) || [text];
+      return { term: segments.join(' '), key: segments.join('. '), terms: corporateSearchTerms(segments) };
+    },
+    search: function(query, lang) {
+      return this.wp_searchWikipedia(query.terms[0], lang);
+    },
+    match: function(data, query, context) {
+      // Only search for the next level up when this one found nothing
+      const tryLevel = (i, data) => {
+        const term = query.terms[i];
+        if (!data || !data.query || !data.query.search || data.query.search.length === 0) return nextLevel(i);
+        
+        const ranked = this.rankCandidates('subject', data.query.search, { term: term, originalText: context.originalText, target: context.target });
+        return this.firstVerified(ranked, title => this.verifySubject(title, context.lang), context, term)
+          .then(match => (match ? Object.assign(match, { reasons: match.reasons.concat(['hierarchy: matched "' + term + '"']) }) : nextLevel(i)));
+      };
+      
+      const nextLevel = (i) => {
+        if (i + 1 >= query.terms.length) return null;
+        
+        const term = query.terms[i + 1];
+        return Promise.resolve(this.wp_searchWikipedia(term, context.lang)).then((results) => {
+          this.trace(context.target, 'results', { lang: context.lang, term: term, results: summarizeResults(results) });
+          return tryLevel(i + 1, results);
+        });
+      };
+      
+      return tryLevel(0, data);
+    }
+  });
+  
+  // Geographic names: a known jurisdiction, or a place with an LC qualifier
+  // ("Delhi (India)", "Cambridge (Mass.)"). Only an article with coordinates is
+  // taken to be about the place.
+  registerType('place', {
+    priority: 15,
+    detect: function(text, position) {
+      if (position !== 'heading') return false;
+      
+      const qualified = text.match(/^(.*?)\s*\(([^)]+)\)$/);
+      return this.isPlaceName(text) || (!!qualified && this.isPlaceName(qualified[2]));
+    },
+    normalize: function(text) {
+      const place = parsePlaceName(text);
+      const terms = place.qualifier ? [place.name + ', ' + place.qualifier, place.name + ' (' + place.qualifier + ')'] : [place.name];
+      return { term: terms[0], key: text, terms: terms };
+    },
+    search: function(query, lang) {
+      const titles = this.titlesFor(lang);
+      return Promise.all(query.terms.map(term => titles.lookup(term)));
+    },
+    match: function(pages, query, context) {
+      for (const page of pages) {
+        if (page.disambiguation) {
+          context.rejected.push({ title: page.target, reason: 'disambiguation' });
+        } else if (page.exists && !page.coordinates) {
+          context.rejected.push({ title: page.target, reason: 'not-a-place' });
+        } else if (page.exists && context.consider({ title: page.target })) {
+          this.log.debug(`Place match found for "${context.originalText}": "${page.target}"`);
+          return page.redirect ? { title: page.target, variant: page.title } : page.target;
+        }
+      }
+      return null;
+    }
+  });
+  
+  // Leading subject components read together ("India -- History -- 1947-"). With a
+  // period, only an article on that period of the topic ("History of India
+  // (1947–present)") will do; without, the exact combined title.
+  registerType('context', {
+    normalize: function(text) {
+      const components = text.split(/\s+--\s+/);
+      const title = this.subdivisionContext(components[1]).replace('{topic}', parsePlaceName(components[0]).name);
+      const chronology = components[2] ? parseChronology(components[2]) : null;
+      const year = chronology && chronology.start > 0 ? String(chronology.start) : null;
+      return { term: year ? title + ' ' + year : title, key: text, title: title, year: year };
+    },
+    search: function(query, lang) {
+      return this.wp_searchWikipedia(query.term, lang);
+    },
+    match: function(data, query, context) {
+      if (!data || !data.query || !data.query.search || data.query.search.length === 0) {
+        this.log.debug(`No Wikipedia results for "${query.term}"`);
+        return null;
+      }
+      
+      // With a year, the title of the topic followed by a parenthesised period that includes it
+      const title = foldText(query.title);
+      const matches = (name) => {
+        const candidate = foldText(name);
+        if (!query.year) return candidate === title;
+        return candidate.indexOf(title + ' ') === 0 && name.indexOf('(') >= 0 && candidate.indexOf(query.year) !== -1;
+      };
+      const candidates = [];
+      
+      data.query.search.forEach((result) => {
+        const name = [result.title].concat(result.variants || []).filter(matches)[0];
+        if (name) {
+          candidates.push({ title: result.title, score: 1, reasons: ['context: "' + query.title + '"'], variant: name !== result.title ? name : undefined });
+        }
+      });
+      
+      return this.firstVerified(candidates, candidate => this.verifySubject(candidate, context.lang), context, query.term);
+    }
+  });
+  
+  // Dates, periods and acronyms only ever link to an article with exactly that
+  // title, so they skip full-text search and go through the title batcher
+  registerType('year', {
+    priority: 10,
+    detect: function(text, position) {
+      if (position !== 'qualifier' && position !== 'component') return false;
+      return !!parseChronology(text) || (position === 'qualifier' && /^[\d\s\-–—.,\/]+$/.test(text));
+    },
+    processComponent: function(text, target) {
+      return this.processYearOrDateRange(text, target);
+    },
+    normalize: function(text) {
+      // A single date is looked up under its article title ("20th century", "500 BC")
+      const chronology = parseChronology(text);
+      return { term: chronology && chronology.pieces.length === 1 ? chronology.pieces[0].title : text, key: text };
+    },
+    search: function(query, lang) {
+      return this.titlesFor(lang).lookup(query.term);
+    },
+    match: (page, query, context) => exactTitleMatch(page, context, 'year')
+  });
+  
+  // A whole range as one period ("Middle Ages, 600-1500", "1901-2000")
+  registerType('period', {
+    normalize: function(text) {
+      return { term: periodTitle(parseChronology(text)), key: text };
+    },
+    search: function(query, lang) {
+      return this.titlesFor(lang).lookup(query.term);
+    },
+    match: (page, query, context) => exactTitleMatch(page, context, 'period')
+  });
+  
+  registerType('acronym', {
+    priority: 90,
+    // Any other parenthetical qualifier is likely an acronym or abbreviation
+    detect: (text, position) => position === 'qualifier',
+    search: function(query, lang) {
+      return this.titlesFor(lang).lookup(query.term);
+    },
+    match: (page, query, context) => exactTitleMatch(page, context, 'acronym')
+  });
+  
+  // A decision about a heading or a piece of one, as decide() reports it
+  function decisionTarget(text, ids) {
+    return {
+      heading: text, type: null, status: null, title: null, variant: null, lang: null, score: null,
+      reasons: [], candidates: [], rejected: [], steps: [], error: null, ids: ids || [], pieces: []
+    };
+  }
+  
+  function layoutText(layout) {
+    return layout.map(item => (typeof item === 'string' ? item : item.text !== undefined ? item.text : layoutText(item.group))).join('');
+  }
+  
+  // The default host: each piece of a heading gets a decision of its own, kept
+  // in its parent's `pieces`
+  const decisionHost = {
+    split: function(target, layout) {
+      layout.forEach((item) => {
+        if (typeof item === 'string') return;
+        
+        item.target = decisionTarget(item.group ? layoutText(item.group) : item.text, target.ids);
+        target.pieces.push(item.target);
+        if (item.group) this.split(item.target, item.group);
+      });
+    },
+    apply: function(target, outcome) {
+      const fields = ['type', 'status', 'title', 'variant', 'lang', 'score', 'reasons', 'candidates', 'rejected', 'error'];
+      fields.forEach((field) => { target[field] = outcome[field]; });
+      
+      target.steps.push(outcome.status === 'match' ?
+        { step: 'outcome', status: 'match', title: outcome.title, variant: outcome.variant, lang: outcome.lang, score: outcome.score, reasons: outcome.reasons } :
+        Object.assign({ step: 'outcome', status: outcome.status }, outcome.error ? { error: outcome.error } : {}));
+      return { status: outcome.status, title: outcome.title, variant: outcome.variant, lang: outcome.lang, score: outcome.score };
+    },
+    skip: function(target) {
+      target.status = 'skipped';
+    },
+    identifiers: target => target.ids
+  };
+  
+  // Looks headings up on Wikipedia and decides which article, if any, they are
+  // about. `services` connects it to where it runs:
+  //   fetch     function(url, params, log) returning a promise for the parsed API response
+  //   cache     { get(key), set(key, value, found) } keeping raw search results, or null
+  //   log       the Logger to use, one at the logLevel option by default
+  //   trace     function(target, step, data) recording a decision step for context.target
+  //   batchers  object to share exact-title batchers in, keyed by API URL
+  //   lookups   object to share lookups in progress in, keyed like the cache
+  //   host      what the heading pipeline marks up, decisions (as decide() reports them) by default
+  //
+  // The host works on targets, whatever stands for a heading or a piece of one
+  // (the plugin's are jQuery elements):
+  //   split(target, layout)   replace the target's text with the layout: literal strings, pieces
+  //                           { text } and groups { group: [...] } of them, setting a `target`
+  //                           on each piece and group
+  //   apply(target, outcome)  mark up the outcome of a lookup, { text, type, status, title, variant,
+  //                           lang, score, reasons, candidates, rejected, error }, returning
+  //                           { status, title, ... } as applied
+  //   skip(target, reason)    mark a piece that is left alone
+  //   identifiers(target)     optional, the authority identifiers of a heading or a promise for them
+  //   element(target)         optional, the element filterCandidate is called with
+  //   isOrganization(target)  optional, whether the heading is known to be an organisation's
+  function Matcher(options, services) {
+    services = services || {};
+    this.settings = merge({}, defaults, options);
+    this.log = services.log || new Logger(this.settings.logLevel);
+    this.fetch = services.fetch || defaultFetch;
+    this.cache = services.cache || null;
+    this.tracer = services.trace || null;
+    this.batchers = services.batchers || {};
+    this.lookups = services.lookups || {};
+    this.host = services.host || decisionHost;
+    this.overrides = typeof this.settings.overrides === 'string' ? [] : parseOverrides(this.settings.overrides, this.log);
+    this.recordLanguages = []; // Languages of the record the headings come from, for 'auto' mode
+  }
+  
+  Object.assign(Matcher.prototype, {
+    // GET a MediaWiki or Wikidata API request, resolving with the parsed response
+    request: function(url, params) {
+      return Promise.resolve(this.fetch(url, params, this.log));
+    },
+    
+    // Add a step to the decision trace of a target: a decision's own steps, or
+    // whatever the trace service keeps (the plugin's per-element traces)
+    trace: function(target, step, data) {
+      if (target && Array.isArray(target.steps)) {
+        target.steps.push(Object.assign({ step: step }, data));
+      } else if (this.tracer) {
+        this.tracer(target, step, data);
+      }
+    },
+    
+    // A heading's query under a type, { term, key, ... }
+    query: function(name, text) {
+      const type = entityTypes[name];
+      return type.normalize ? type.normalize.call(this, text) : { term: text };
+    },
+    
+    // Search one wiki for a query and let the type pick the match. `context` has the
+    // heading as originalText, the trace target, the element it came from if any,
+    // titles to exclude and the lists considered and rejected candidates go onto.
+    // Resolves with the type's match or null, and rejects when a request failed.
+    lookup: function(name, query, lang, context) {
+      const type = entityTypes[name];
+      
+      return Promise.resolve(type.search.call(this, query, lang)).then((results) => {
+        context = Object.assign({ type: name, lang: lang, exclude: [], log: this.log }, context);
+        this.trace(context.target, 'results', { lang: lang, results: summarizeResults(results) });
+        context.consider = candidate => this.considerCandidate(candidate, context);
+        
+        return type.match.call(this, results, query, context);
+      });
+    },
+    
+    // Decide which article a heading is about, running it through the same
+    // pipeline as the plugin: overrides, authority identifiers, subject components,
+    // form subdivisions and context. Options: type (detected from the heading when
+    // left out) and ids, the heading's authority identifiers. Resolves with { heading,
+    // type, status: 'match' | 'nomatch' | 'error', title, variant, lang, score, reasons,
+    // candidates, rejected, steps, error, links, pieces }. A heading taken apart gets
+    // the first match among its pieces, a decision of the same form each, and
+    // `links` lists every title it links to in reading order.
+    decide: function(heading, options) {
+      options = options || {};
+      
+      return Promise.resolve().then(() => {
+        const text = String(heading).trim();
+        const name = options.type || this.headingType(text);
+        const decision = Object.assign(decisionTarget(text, options.ids), { type: name });
+        
+        // A detected type other than a name is found again among the subject's components
+        const pipeline = options.type || name === 'name' ? name : 'subject';
+        
+        return this.processHeading(pipeline, text, decision).then(() => {
+          const matched = [];
+          let failed = false;
+          const walk = (target) => {
+            if (target.status === 'match') matched.push(target);
+            if (target.status === 'error') failed = true;
+            target.pieces.forEach(walk);
+          };
+          walk(decision);
+          decision.links = matched.map(target => target.title);
+          
+          if (decision.status === null) {
+            const first = matched[0];
+            decision.status = first ? 'match' : failed ? 'error' : 'nomatch';
+            if (first) {
+              ['title', 'variant', 'lang', 'score', 'reasons'].forEach((field) => { decision[field] = first[field]; });
+            }
+          }
+          return decision;
+        });
+      });
+    },
+    
+    // Process a whole heading of a type: an override settles it, or the type takes
+    // it apart (subjects on " -- "), or it is looked up as it is
+    processHeading: function(name, text, target) {
+      const type = entityTypes[name];
+      const rule = this.findOverride(text, name);
+      
+      if (rule) return this.applyOverride(rule, name, text, target);
+      return type.process ? Promise.resolve(type.process.call(this, text, target)) : this.resolve(name, text, target);
+    },
+    
+    // Process a heading component as whatever type it looks like
+    processDetected: function(text, target, position) {
+      const name = this.detectType(text, position);
+      const type = entityTypes[name];
+      
+      return type.processComponent ? Promise.resolve(type.processComponent.call(this, text, target)) : this.lookupType(name, text, target);
+    },
+    
+    // Look a heading up, unless an override settles it first
+    lookupType: function(name, text, target) {
+      const rule = this.findOverride(text, name);
+      return rule ? this.applyOverride(rule, name, text, target) : this.resolve(name, text, target);
+    },
+    
+    // The override rule for a heading: an exact match first, then the first
+    // prefix or pattern rule that applies. Null if there is none.
+    findOverride: function(text, name) {
+      const key = overrideKey(text);
+      const rules = this.overrides.filter(rule => !rule.type || rule.type === name);
+      
+      return rules.find(rule => rule.match !== undefined && overrideKey(rule.match) === key) ||
+        rules.find(rule => (rule.prefix !== undefined && key.indexOf(overrideKey(rule.prefix)) === 0) ||
+          (rule.pattern !== undefined && rule.pattern.test(text.trim()))) ||
+        null;
+    },
+    
+    // Link to the rule's title, search for its alias instead, or leave the heading alone
+    applyOverride: function(rule, name, text, target) {
+      this.trace(target, 'override', { rule: Object.assign({}, rule, rule.pattern ? { pattern: String(rule.pattern) } : {}) });
+      
+      if (rule.link === false) {
+        this.log.info(`Override: never link "${text}"`);
+        return this.apply(target, { text: text, type: name, reasons: ['override: never link'] });
+      }
+      
+      if (rule.title) {
+        this.log.info(`Override: "${text}" links to "${rule.title}"`);
+        const lang = rule.lang || this.languagesFor(text)[0];
+        return this.apply(target, { text: text, type: name, status: 'match', title: rule.title, lang: lang, score: 1, reasons: ['override: "' + rule.title + '"'] });
+      }
+      
+      if (rule.search) {
+        this.log.info(`Override: searching for "${rule.search}" instead of "${text}"`);
+        return this.resolve(name, rule.search, target);
+      }
+      
+      // Only some titles are ruled out: look the heading up as usual without them
+      return this.resolve(name, text, target, rule.exclude || []);
+    },
+    
+    // Hand an outcome to the host, resolving with what it applied
+    apply: function(target, outcome) {
+      return Promise.resolve(this.host.apply(target, Object.assign({
+        status: 'nomatch', title: null, variant: null, lang: null, score: null, reasons: [], candidates: [], rejected: [], error: null
+      }, outcome)));
+    },
+    
+    // Look a heading up through a type's normalize, search and match steps, trying
+    // its authority identifiers first for types that have them
+    resolve: function(name, text, target, exclude) {
+      const type = entityTypes[name];
+      const query = this.query(name, text);
+      const key = (query.key || query.term) + (exclude && exclude.length ? '|exclude:' + exclude.join('|') : '');
+      const context = { originalText: text, target: target, element: this.host.element ? this.host.element(target) : null, exclude: exclude || [] };
+      
+      this.trace(target, 'query', { type: name, term: query.term, key: key });
+      
+      const lookup = (lang, rejected, candidates) => this.lookup(name, query, lang, Object.assign({ rejected: rejected, candidates: candidates }, context));
+      
+      if (!type.authorities || !this.host.identifiers) {
+        return this.matchLanguages(name, key, text, target, lookup);
+      }
+      
+      return Promise.resolve(this.host.identifiers(target)).then((ids) => {
+        ids = ids || [];
+        if (ids.length > 0) {
+          this.trace(target, 'authority', { ids: ids });
+        }
+        
+        // Prefer the article linked from the heading's authority identifiers and
+        // only fall back to the string heuristics when none of them resolves, or
+        // its article is ruled out like any other candidate (exclude, filterCandidate)
+        const authorityLookup = (lang, rejected, candidates) => {
+          if (ids.length === 0) return lookup(lang, rejected, candidates);
+          
+          return this.resolveWikidataItem(ids)
+            .then(item => (item ? this.getSitelink(item, lang) : null))
+            .then((title) => {
+              const considered = Object.assign({ type: name, lang: lang, rejected: rejected, candidates: candidates }, context);
+              
+              if (title && this.considerCandidate({ title: title }, considered)) {
+                this.log.debug(`Authority match found for "${text}": "${title}"`);
+                return title;
+              }
+              return lookup(lang, rejected, candidates);
+            }, () => lookup(lang, rejected, candidates));
+        };
+        
+        return this.matchLanguages(name, key + authorityKey(ids), text, target, authorityLookup);
+      });
+    },
+    
+    // Run a lookup against each wiki in the language chain until one matches, and
+    // hand the outcome to the host. The lookup gets the language and lists to push
+    // rejected and considered candidates onto, resolves with the type's match or
+    // null, and rejects when the request itself failed (never cached).
+    matchLanguages: function(name, key, text, target, lookup) {
+      const languages = this.languagesFor(text);
+      const outcome = { text: text, type: name, rejected: [], candidates: [] };
+      let failure = null;
+      
+      const tryLanguage = (i) => {
+        if (i >= languages.length) {
+          return this.apply(target, failure ? Object.assign(outcome, { status: 'error', error: failure }) : outcome);
+        }
+        
+        return this.cachedLookup(name, key, languages[i], lookup).then((match) => {
+          // An authority's article that was turned down is usually turned down again by the search after it
+          const rejected = match.rejected.filter((r, j) => match.rejected.findIndex(other => other.title === r.title && other.reason === r.reason) === j);
+          outcome.rejected = outcome.rejected.concat(rejected.map(r => Object.assign({ lang: languages[i] }, r)));
+          outcome.candidates = outcome.candidates.concat(match.candidates.map(c => Object.assign({ lang: languages[i] }, c)));
+          
+          if (!match.title) return tryLanguage(i + 1);
+          
+          return this.apply(target, Object.assign(outcome, {
+            status: 'match',
+            title: match.title,
+            variant: match.variant || null,
+            lang: match.lang,
+            score: match.score !== undefined ? match.score : null,
+            reasons: match.reasons || []
+          }));
+        }, (error) => {
+          this.log.error('Wikipedia search error:', error);
+          failure = error;
+          return tryLanguage(i + 1);
+        });
+      };
+      
+      return tryLanguage(0);
+    },
+    
+    // Resolves with { title, lang, score, reasons, rejected, candidates } for one wiki,
+    // from the cache when possible. title is null when nothing matched.
+    cachedLookup: function(name, key, lang, lookup) {
+      // What filterCandidate passes over depends on the heading's element and on
+      // this matcher's settings, so filtered lookups are neither cached nor shared
+      const shared = typeof this.settings.filterCandidate !== 'function';
+      const cache = shared ? this.cache : null;
+      // A match may have been followed to the interface language, so each one keeps its own
+      const uiLang = this.settings.preferInterfaceLanguage ? this.interfaceLanguage() || '' : '';
+      const cacheKey = 'match:' + name + ':' + this.apiUrlFor(lang) + ':' + uiLang + ':' + key;
+      const cached = cache ? cache.get(cacheKey) : undefined;
+      
+      if (cached !== undefined) {
+        return Promise.resolve(Object.assign({ rejected: [], candidates: [] }, cached));
+      }
+      
+      // Share a lookup that is already running for another heading
+      if (shared && this.lookups[cacheKey]) {
+        return this.lookups[cacheKey];
+      }
+      
+      const rejected = [];
+      const candidates = [];
+      
+      let found = null;
+      
+      const pending = Promise.resolve(lookup(lang, rejected, candidates)).then((result) => {
+        // Lookups resolve with a title, or with { title, variant, score, reasons } when they scored candidates
+        found = typeof result === 'string' ? { title: result } : result;
+        return found && found.title ? this.preferInterfaceLanguage(found.title, lang) : { title: null, lang: lang };
+      }).then((match) => {
+        if (found && found.score !== undefined) {
+          match.score = found.score;
+          match.reasons = found.reasons;
+        }
+        if (found && found.variant) {
+          match.variant = found.variant;
+        }
+        match.rejected = rejected;
+        match.candidates = candidates;
+        if (cache) {
+          cache.set(cacheKey, match, !!match.title);
+        }
+        return match;
+      });
+      
+      if (shared) {
+        this.lookups[cacheKey] = pending;
+        const done = () => { delete this.lookups[cacheKey]; };
+        pending.then(done, done);
+      }
+      
+      return pending;
+    },
+    
+    // The interface language as a wiki language code, or null
+    interfaceLanguage: function() {
+      const lang = this.settings.interfaceLanguage || '';
+      return String(lang).split('-')[0].toLowerCase() || null;
+    },
+    
+    // Follow the interlanguage link of a match to the interface language, if there is one
+    preferInterfaceLanguage: function(title, lang) {
+      const uiLang = this.interfaceLanguage();
+      
+      if (!this.settings.preferInterfaceLanguage || !uiLang || uiLang === lang) {
+        return Promise.resolve({ title: title, lang: lang });
+      }
+      
+      return this.request(this.apiUrlFor(lang), {
+        action: 'query',
+        titles: title,
+        prop: 'langlinks',
+        lllang: uiLang,
+        redirects: 1,
+        format: 'json',
+        formatversion: 2,
+        origin: '*'
+      }).then((data) => {
+        const page = data && data.query && data.query.pages && data.query.pages[0];
+        const link = page && page.langlinks && page.langlinks[0];
+        
+        if (link && link.title) {
+          this.log.debug(`Using ${uiLang} interlanguage link for "${title}": "${link.title}"`);
+          return { title: link.title, lang: uiLang };
+        }
+        return { title: title, lang: lang };
+      }, () => {
+        // Keep the match we have if the interlanguage lookup fails
+        return { title: title, lang: lang };
+      });
+    },
+    
+    // Find the Wikidata item carrying one of the identifiers
+    resolveWikidataItem: function(ids) {
+      const cache = this.cache;
+      
+      const tryId = (i) => {
+        if (i >= ids.length) return Promise.resolve(null);
+        
+        const id = ids[i];
+        const cacheKey = 'wikidata:' + id.property + '=' + id.value;
+        const cached = cache ? cache.get(cacheKey) : undefined;
+        
+        if (cached !== undefined) {
+          return cached.item ? Promise.resolve(cached.item) : tryId(i + 1);
+        }
+        
+        return this.request(this.settings.wikidataApiUrl, {
+          action: 'query',
+          list: 'search',
+          srsearch: 'haswbstatement:' + id.property + '=' + id.value,
+          srlimit: 2,
+          format: 'json',
+          origin: '*'
+        }).then((data) => {
+          const results = (data && data.query && data.query.search) || [];
+          // An identifier shared by several items is no better than a guess
+          const item = results.length === 1 ? results[0].title : null;
+          
+          if (cache) {
+            cache.set(cacheKey, { item: item }, !!item);
+          }
+          return item || tryId(i + 1);
+        }, () => tryId(i + 1));
+      };
+      
+      return tryId(0);
+    },
+    
+    // Title of the article about a Wikidata item on the given wiki
+    getSitelink: function(item, lang) {
+      const site = lang.replace(/-/g, '_') + 'wiki';
+      
+      return this.request(this.settings.wikidataApiUrl, {
+        action: 'wbgetentities',
+        ids: item,
+        props: 'sitelinks',
+        sitefilter: site,
+        format: 'json',
+        origin: '*'
+      }).then((data) => {
+        const entity = data && data.entities && data.entities[item];
+        const sitelink = entity && entity.sitelinks && entity.sitelinks[site];
+        return sitelink ? sitelink.title : null;
+      });
+    },
+    
+    processName: function(text, target) {
+      const parsed = parseName(text);
+      
+      // Inverted names and forename entries with numeration, titles or dates are
+      // looked up as people, and so is a single name ("Kalidasa") unless the host
+      // knows it to be an organisation's. Anything else is more likely a corporate name.
+      const organization = this.host.isOrganization ? this.host.isOrganization(target) : false;
+      const single = parsed && !/\s/.test(parsed.forenames) && !organization;
+      
+      if (parsed && (parsed.inverted || parsed.numeration || parsed.titles.length || parsed.dates || single)) {
+        this.log.debug('Searching Wikipedia for name:', text);
+        return this.lookupType('name', text, target);
+      }
+      return this.processSubject(text, target);
+    },
+    
+    processSubject: function(subject, target) {
+      // Split the subject heading into components based on " -- " delimiter
+      const components = subject.split(/\s+--\s+/);
+      
+      if (components.length === 1) {
+        return this.processSubjectComponent(subject, target);
+      }
+      
+      // How many leading components may read as one article ("India -- History -- 1947-")
+      let combined = 0;
+      if (this.subdivisionContext(components[1])) {
+        combined = components.length > 2 && parseChronology(components[2]) ? 3 : 2;
+      }
+      
+      // A piece for each component, with the leading ones nested in a group per
+      // combination so that whichever combination matches can be linked whole
+      const pieces = components.map(component => ({ text: component }));
+      const groups = [];
+      let head = pieces[0];
+      
+      for (let i = 1; i < combined; i++) {
+        head = { group: [head, ' -- ', pieces[i]] };
+        groups[i + 1] = head;
+      }
+      
+      const layout = [head];
+      for (let i = Math.max(combined, 1); i < components.length; i++) {
+        layout.push(' -- ', pieces[i]);
+      }
+      this.host.split(target, layout);
+      
+      // Process the components not covered by a combined match separately,
+      // leaving form subdivisions alone
+      return this.processSubjectContext(components, groups, combined).then((linked) => {
+        const promises = [];
+        
+        for (let i = linked; i < components.length; i++) {
+          if (i > 0 && this.isFormSubdivision(components[i])) {
+            this.trace(pieces[i].target, 'skip', { reason: 'form subdivision' });
+            this.host.skip(pieces[i].target, 'form subdivision');
+            continue;
+          }
+          promises.push(this.processSubjectComponent(components[i], pieces[i].target));
+        }
+        
+        return Promise.all(promises);
+      });
+    },
+    
+    // Try the first `count` components as one article, then one fewer, down to
+    // two. Resolves with the number of components linked together, or 0.
+    processSubjectContext: function(components, groups, count) {
+      if (count < 2) return Promise.resolve(0);
+      
+      return this.lookupType('context', components.slice(0, count).join(' -- '), groups[count].target)
+        .then(outcome => (outcome.status === 'match' ? count : this.processSubjectContext(components, groups, count - 1)));
+    },
+    
+    processSubjectComponent: function(component, target) {
+      // Types that need the whole component, qualifier included (e.g. meetings), go first
+      if (this.detectType(component, 'heading') !== 'subject') {
+        return this.processDetected(component, target, 'heading');
+      }
+      
+      const qualified = component.match(/^(.*?)\s*\(([^)]+)\)$/);
+      if (!qualified) {
+        return this.processDetected(component, target, 'component');
+      }
+      
+      // Process the main text and the qualifier (a year/date range or an acronym) by type
+      const main = { text: qualified[1].trim() };
+      const qualifier = { text: qualified[2].trim() };
+      this.host.split(target, [main, ' (', qualifier, ')']);
+      
+      return Promise.all([
+        this.processDetected(main.text, main.target, 'component'),
+        this.processDetected(qualifier.text, qualifier.target, 'qualifier')
+      ]);
+    },
+    
+    // Corporate and meeting names: link the body (walking up its hierarchy), then
+    // the date and place of a meeting qualifier separately. The meeting number
+    // is left as is.
+    processCorporateName: function(text, target) {
+      const meeting = text.match(/^(.*?)\s*\(([^)]+)\)$/);
+      const qualifier = meeting ? parseMeetingQualifier(meeting[2]) : null;
+      
+      if (!qualifier) {
+        return this.lookupType('corporate', text, target);
+      }
+      
+      const body = { text: meeting[1].trim() };
+      const parts = qualifier.map(part => (part.kind === 'date' || part.kind === 'place' ? { text: part.text, kind: part.kind } : part.text));
+      this.host.split(target, [body, ' ('].concat(parts, [')']));
+      
+      return Promise.all([this.lookupType('corporate', body.text, body.target)].concat(parts
+        .filter(part => typeof part !== 'string')
+        .map(part => (part.kind === 'date' ?
+          this.processYearOrDateRange(part.text, part.target) :
+          this.lookupType(this.isPlaceName(part.text) ? 'place' : 'subject', part.text.trim(), part.target)))));
+    },
+    
+    // Chronological headings: a named period or a range that is exactly a century
+    // or decade links whole to the period article; otherwise each date links to
+    // its own article ("20th century", "1940s", "500 BC")
+    processYearOrDateRange: function(text, target) {
+      const chronology = parseChronology(text);
+      
+      if (chronology && periodTitle(chronology)) {
+        return this.lookupType('period', text, target)
+          .then(outcome => (outcome.status === 'match' ? outcome : this.processDates(text, target, chronology)));
+      }
+      return this.processDates(text, target, chronology);
+    },
+    
+    processDates: function(text, target, chronology) {
+      // Dates the chronology parser understands, or else any four-digit years
+      // in the text ("Jan. 5-9, 1947")
+      const years = chronology ? chronology.pieces : (text.match(/\b\d{4}\b/g) || []).map(year => ({ text: year, title: year }));
+      
+      if (years.length === 0) {
+        // If no years found, search Wikipedia for the whole text
+        return this.lookupType('subject', text, target);
+      }
+      
+      // A piece for each date, with the text around them kept as it is
+      const layout = [];
+      let lastIndex = 0;
+      
+      years.forEach((year) => {
+        const position = text.indexOf(year.text, lastIndex);
+        if (position < 0) return;
+        
+        if (position > lastIndex) layout.push(text.substring(lastIndex, position));
+        layout.push({ text: year.text, title: year.title });
+        lastIndex = position + year.text.length;
+      });
+      
+      if (lastIndex < text.length) layout.push(text.substring(lastIndex));
+      this.host.split(target, layout);
+      
+      // Look up the article for each date, by title so a range's era carries over
+      return Promise.all(layout
+        .filter(piece => typeof piece !== 'string')
+        .map(piece => this.lookupType('year', piece.title, piece.target)));
+    },
+    
+    // Type of a whole heading given without one: a personal name, a type that
+    // claims the heading or a single component, or else a subject
+    headingType: function(text) {
+      if (this.looksLikePersonName(text)) return 'name';
+      
+      const name = this.detectType(text, 'heading');
+      if (name !== 'subject') return name;
+      
+      // A range of years may have an article as a whole ("1901-2000" is "20th century")
+      const chronology = parseChronology(text);
+      if (chronology && chronology.pieces.length > 1 && periodTitle(chronology)) return 'period';
+      return this.detectType(text, 'component');
+    },
+    
+    // Ordered list of wikis to try for a heading
+    languagesFor: function(text) {
+      const configured = this.settings.languages;
+      
+      if (configured !== 'auto') {
+        const languages = Array.isArray(configured) ? configured : [configured];
+        // Without a {lang} placeholder every language would hit the same wiki
+        return this.settings.apiUrl.indexOf('{lang}') >= 0 ? languages : languages.slice(0, 1);
+      }
+      
+      const script = detectScript(text);
+      const fallback = this.settings.fallbackLanguages;
+      
+      if (!script || !this.settings.scriptLanguages[script]) {
+        // Latin script headings are most likely on the fallback wikis
+        return uniqueValues(fallback.concat(this.recordLanguages));
+      }
+      
+      // Prefer a record language written in the heading's script (e.g. Marathi over Hindi)
+      const candidates = this.settings.scriptLanguages[script];
+      const scriptLanguage = candidates.filter(lang => this.recordLanguages.indexOf(lang) >= 0)[0] || candidates[0];
+      
+      return uniqueValues([scriptLanguage].concat(this.recordLanguages, fallback));
+    },
+    
+    apiUrlFor: function(lang) {
+      return this.settings.apiUrl.replace('{lang}', lang);
+    },
+    
+    titlesFor: function(lang) {
+      const apiUrl = this.apiUrlFor(lang);
+      
+      if (!this.batchers[apiUrl]) {
+        this.batchers[apiUrl] = new TitleBatcher(apiUrl, (url, params) => this.request(url, params));
+      }
+      return this.batchers[apiUrl];
+    },
+    
+    // Find the type of a subject heading component. `position` is 'component'
+    // for a component itself and 'qualifier' for its parenthetical qualifier.
+    detectType: function(text, position) {
+      const names = Object.keys(entityTypes)
+        .filter(name => typeof entityTypes[name].detect === 'function')
+        .sort((a, b) => (entityTypes[a].priority || 50) - (entityTypes[b].priority || 50));
+      
+      for (const name of names) {
+        if (entityTypes[name].detect.call(this, text, position)) return name;
+      }
+      return 'subject';
+    },
+    
+    // Title pattern for a topical subdivision read with its heading, or null
+    subdivisionContext: function(subdivision) {
+      const contexts = Object.assign({}, SUBDIVISION_CONTEXTS, this.settings.subdivisionContexts);
+      const key = subdivisionKey(subdivision);
+      const name = Object.keys(contexts).find(context => subdivisionKey(context) === key);
+      return name ? contexts[name] : null;
+    },
+    
+    isFormSubdivision: function(subdivision) {
+      const key = subdivisionKey(subdivision);
+      return FORM_SUBDIVISIONS.concat(this.settings.formSubdivisions)
+        .some(form => subdivisionKey(form) === key);
+    },
+    
+    isPlaceName: function(text) {
+      const key = subdivisionKey(text);
+      return PLACE_NAMES.concat(Object.keys(PLACE_QUALIFIERS), this.settings.places)
+        .some(place => subdivisionKey(place) === key);
+    },
+    
+    // Check if a string looks like a person's name: inverted ("Tagore, Rabindranath",
+    // "Gandhi, Mahatma") or a forename with numeration ("John Paul II, Pope")
+    looksLikePersonName: function(text) {
+      const name = parseName(text);
+      return !!name && (name.inverted || name.numeration !== null);
+    },
+    
+    // Offer a candidate to the filterCandidate hook, and note it as considered
+    considerCandidate: function(candidate, context) {
+      context.candidates.push({ title: candidate.title, score: candidate.score });
+      
+      const filter = this.settings.filterCandidate;
+      const detail = { element: context.element || null, text: context.originalText, type: context.type, lang: context.lang };
+      
+      if (context.exclude && context.exclude.indexOf(candidate.title) >= 0) {
+        this.trace(context.target, 'rule', { rule: 'exclude', title: candidate.title, passed: false });
+        context.rejected.push({ title: candidate.title, reason: 'excluded' });
+        return false;
+      }
+      
+      if (typeof filter === 'function' && filter.call(detail.element, Object.assign({}, candidate), detail) === false) {
+        this.log.debug(`Candidate "${candidate.title}" for "${context.originalText}" passed over by filterCandidate`);
+        this.trace(context.target, 'rule', { rule: 'filterCandidate', title: candidate.title, passed: false });
+        context.rejected.push({ title: candidate.title, reason: 'filtered' });
+        return false;
+      }
+      return true;
+    },
+    
+    // Helper function to check if a result appears to be a citation or reference
+    isCitationOrReference: function(result) {
+      if (!result || !result.snippet) return false;
+      
+      const snippet = result.snippet;
+      
+      // Check for common citation patterns
+      return (
+        snippet.includes("{{cite") || 
+        snippet.includes("ISBN") ||
+        snippet.includes("Retrieved") ||
+        snippet.includes("pp.") ||
+        snippet.includes("p.") ||
+        snippet.includes("vol.") ||
+        snippet.includes("edition") ||
+        snippet.includes("publisher") ||
+        /\}\}\s*<span class="searchmatch">/.test(snippet) ||
+        /<span class="searchmatch">.*?\}\}/.test(snippet) ||
+        /\d{4}\)\./.test(snippet) // Year followed by ). pattern
+      );
+    },
+    
+    // Scorers that apply to an entity type, built-ins merged with the site's own
+    // (a site scorer set to false removes the built-in of the same name)
+    getScorers: function(type) {
+      const scorers = Object.assign({}, BUILTIN_SCORERS, this.settings.scoring.scorers);
+      const weights = this.settings.scoring.weights;
+      
+      return Object.keys(scorers)
+        // A scorer without `types` applies to every heading type
+        .filter(name => scorers[name] && (!scorers[name].types || scorers[name].types.indexOf(type) >= 0))
+        .map(name => ({
+          name: name,
+          weight: weights[name] !== undefined ? weights[name] : (scorers[name].weight !== undefined ? scorers[name].weight : 1),
+          score: scorers[name].score
+        }))
+        .filter(scorer => scorer.weight > 0);
+    },
+    
+    // Score every search result and return those reaching minConfidence, best first.
+    // A candidate's confidence is its best weighted score; ties keep search order.
+    rankCandidates: function(type, results, context) {
+      const scoring = this.settings.scoring;
+      const scorers = this.getScorers(type);
+      
+      // Filter out results that appear to be citations or references
+      const filteredResults = results.filter(result => !this.isCitationOrReference(result));
+      
+      // Use filtered results if available, otherwise fall back to original results
+      const resultsToProcess = filteredResults.length > 0 ? filteredResults : results;
+      
+      if (filteredResults.length < results.length) {
+        this.trace(context.target, 'filter', {
+          rule: 'isCitationOrReference',
+          removed: results.filter(result => filteredResults.indexOf(result) < 0).map(result => result.title),
+          applied: filteredResults.length > 0
+        });
+      }
+      
+      context = Object.assign({ type: type, thresholds: scoring.thresholds, results: resultsToProcess }, context);
+      
+      const scored = resultsToProcess.map((result, rank) => {
+        const candidate = { title: result.title, result: result, rank: rank, score: 0, reasons: [] };
+        const names = [result.title].concat(result.variants || []);
+        
+        // Each scorer counts with the name of the article it likes best, the title winning ties
+        scorers.forEach(scorer => {
+          let best = null;
+          
+          names.forEach(name => {
+            const outcome = scorer.score.call(this, name === result.title ? candidate : Object.assign({}, candidate, { title: name }), context);
+            if (outcome && outcome.score > 0 && (!best || outcome.score > best.outcome.score)) {
+              best = { name: name, outcome: outcome };
+            }
+          });
+          
+          if (!best) return;
+          
+          const score = Math.min(1, best.outcome.score * scorer.weight);
+          const variant = best.name !== result.title ? best.name : undefined;
+          if (score > candidate.score || (score === candidate.score && !variant)) {
+            candidate.score = score;
+            candidate.variant = variant;
+          }
+          candidate.reasons.push(scorer.name + ': ' + best.outcome.reason + (variant ? ` as "${variant}"` : ''));
+        });
+        
+        return candidate;
+      });
+      
+      this.trace(context.target, 'scores', {
+        minConfidence: scoring.minConfidence,
+        candidates: scored.map(candidate => ({ title: candidate.title, variant: candidate.variant || null, score: candidate.score, reasons: candidate.reasons, passed: candidate.score >= scoring.minConfidence }))
+      });
+      
+      const ranked = scored.filter(candidate => candidate.score >= scoring.minConfidence);
+      
+      ranked.sort((a, b) => (b.score - a.score) || (a.rank - b.rank));
+      
+      if (ranked.length > 0) {
+        this.log.debug(`Best candidate for "${context.term}": "${ranked[0].title}" (${ranked[0].score.toFixed(2)}; ${ranked[0].reasons.join('; ')})`);
+      } else {
+        this.log.debug(`No candidate reached ${scoring.minConfidence} for "${context.term}"`);
+      }
+      
+      return ranked;
+    },
+    
+    // Walk ranked candidates until one passes verification; `verify` resolves
+    // with null to accept a title or with the reason for rejecting it
+    firstVerified: function(ranked, verify, context, label) {
+      const rejected = context.rejected;
+      
+      const tryCandidate = (i) => {
+        if (i >= ranked.length) return Promise.resolve(null);
+        
+        const candidate = ranked[i];
+        if (!context.consider(candidate)) return tryCandidate(i + 1);
+        
+        return Promise.resolve(verify(candidate.title)).then((reason) => {
+          this.trace(context.target, 'verify', { title: candidate.title, passed: !reason, reason: reason || null });
+          if (!reason) return { title: candidate.title, variant: candidate.variant, score: candidate.score, reasons: candidate.reasons };
+          
+          this.log.debug(`Rejected "${candidate.title}" for "${label}": ${reason}`);
+          rejected.push({ title: candidate.title, reason: reason });
+          return tryCandidate(i + 1);
+        });
+      };
+      
+      return tryCandidate(0);
+    },
+    
+    // Check that a candidate article is about a person: not a disambiguation page,
+    // with a Wikidata item that is an instance of human (Q5), and whose life dates
+    // agree with the heading's. Resolves with null when accepted, else the reason.
+    verifyName: function(title, dates, lang) {
+      return Promise.resolve(this.titlesFor(lang).lookup(title)).then((page) => {
+        if (page.disambiguation) return 'disambiguation';
+        if (!this.settings.requireHuman && !dates) return null;
+        if (!page.item) return this.settings.requireHuman ? 'no-wikidata-item' : this.verifyLifeDates(title, dates, lang, null);
+        
+        return this.fetchWikidataClaims(page.item).then((claims) => {
+          if (this.settings.requireHuman && !isInstanceOf(claims, HUMAN)) return 'not-human';
+          return dates ? this.verifyLifeDates(title, dates, lang, claims) : null;
+        });
+      }, () => null); // Unverifiable is not the same as wrong
+    },
+    
+    // Skip disambiguation pages for subjects
+    verifySubject: function(title, lang) {
+      return Promise.resolve(this.titlesFor(lang).lookup(title))
+        .then(page => (page.disambiguation ? 'disambiguation' : null), () => null);
+    },
+    
+    // Check a candidate article against the life dates of a heading, using the
+    // birth/death dates (P569/P570) of its Wikidata item, or else the article lead.
+    // Unknown dates don't count against it.
+    verifyLifeDates: function(title, dates, lang, claims) {
+      const facts = claims ? { birth: wikidataYear(claims, 'P569'), death: wikidataYear(claims, 'P570') } : null;
+      const known = facts && (facts.birth !== null || facts.death !== null);
+      
+      return Promise.resolve(known ? facts : this.fetchLeadLifeDates(title, lang)).then((facts) => {
+        if (!facts) return null;
+        
+        const conflict = lifeDatesConflict(dates, facts);
+        this.log.debug(`Life dates for "${title}": ${facts.birth}-${facts.death} (${conflict ? 'conflict' : 'consistent'} with "${dates.text}")`);
+        return conflict ? 'life-dates-conflict' : null;
+      }, () => null);
+    },
+    
+    fetchWikidataClaims: function(item) {
+      return this.request(this.settings.wikidataApiUrl, {
+        action: 'wbgetentities',
+        ids: item,
+        props: 'claims',
+        format: 'json',
+        origin: '*'
+      }).then((data) => {
+        const entity = data && data.entities && data.entities[item];
+        return (entity && entity.claims) || {};
+      });
+    },
+    
+    // Birth/death years from the first parenthesis of the article lead,
+    // e.g. "Rabindranath Tagore (7 May 1861 – 7 August 1941) was ..."
+    fetchLeadLifeDates: function(title, lang) {
+      return this.request(this.apiUrlFor(lang), {
+        action: 'query',
+        titles: title,
+        prop: 'extracts',
+        exintro: 1,
+        explaintext: 1,
+        exsentences: 1,
+        redirects: 1,
+        format: 'json',
+        formatversion: 2,
+        origin: '*'
+      }).then((data) => {
+        const page = data && data.query && data.query.pages && data.query.pages[0];
+        const parenthesis = page && page.extract && page.extract.match(/\(([^)]*)\)/);
+        const years = parenthesis ? parenthesis[1].match(/\b\d{3,4}\b/g) : null;
+        
+        if (!years) return null;
+        return { birth: parseInt(years[0], 10), death: years.length > 1 ? parseInt(years[1], 10) : null };
+      });
+    },
+    
+    checkNamePartsProximity: function(namePartPositions, nameParts, maxDistance) {
+      // Check if all name parts are within a reasonable distance of each other
+      maxDistance = maxDistance || 5; // Maximum number of words between name parts
+      
+      // Get all positions for each name part
+      const allPositions = [];
+      for (const part of nameParts) {
+        if (namePartPositions[part] && namePartPositions[part].length > 0) {
+          allPositions.push(...namePartPositions[part]);
+        }
+      }
+      
+      // Sort positions
+      allPositions.sort((a, b) => a - b);
+      
+      // Check if all positions are within maxDistance of each other
+      for (let i = 1; i < allPositions.length; i++) {
+        if (allPositions[i] - allPositions[i-1] > maxDistance) {
+          return { inProximity: false };
+        }
+      }
+      
+      return { inProximity: true, positions: allPositions };
+    },
+    
+    findFuzzyNameMatches: function(nameParts, snippetWords, threshold) {
+      threshold = threshold || 80; // 80% similarity threshold
+      
+      const matches = {};
+      let allPartsMatched = true;
+      
+      for (const part of nameParts) {
+        matches[part] = [];
+        let partMatched = false;
+        
+        for (let i = 0; i < snippetWords.length; i++) {
+          const cleanWord = foldText(snippetWords[i]);
+          if (cleanWord.length < 3) continue; // Skip very short words
+          
+          const similarity = stringSimilarity(foldText(part), cleanWord);
+          if (similarity >= threshold) {
+            matches[part].push(i);
+            partMatched = true;
+          }
+        }
+        
+        if (!partMatched) {
+          allPartsMatched = false;
+        }
+      }
+      
+      return { allPartsMatched, matches };
+    },
+    
+    checkFuzzyMatchesProximity: function(matches, maxDistance) {
+      // Check if all fuzzy matches are within a reasonable distance of each other
+      maxDistance = maxDistance || 5; // Maximum number of words between name parts
+      
+      // Get all positions for each name part
+      const allPositions = [];
+      for (const part in matches) {
+        if (matches[part] && matches[part].length > 0) {
+          allPositions.push(...matches[part]);
+        }
+      }
+      
+      // Sort positions
+      allPositions.sort((a, b) => a - b);
+      
+      // Check if all positions are within maxDistance of each other
+      for (let i = 1; i < allPositions.length; i++) {
+        if (allPositions[i] - allPositions[i-1] > maxDistance) {
+          return { inProximity: false };
+        }
+      }
+      
+      return { inProximity: true, positions: allPositions };
+    },
+    
+    wp_searchWikipedia: function(searchTerm, lang) {
+      const cache = this.cache;
+      const apiUrl = this.apiUrlFor(lang);
+      const cacheKey = 'search:' + apiUrl + ':' + searchTerm;
+      const cached = cache ? cache.get(cacheKey) : undefined;
+      
+      // Serve raw search results from the cache when we have them
+      if (cached !== undefined) {
+        return Promise.resolve(cached);
+      }
+      
+      return this.request(apiUrl, {
+        action: 'query',
+        list: 'search',
+        srsearch: searchTerm,
+        srprop: 'snippet|redirecttitle', // The redirect a result was found through, if any
+        format: 'json',
+        origin: '*'
+      }).then((data) => {
+        return data && data.query && data.query.search ? this.addVariants(data.query.search, lang).then(() => data) : data;
+      }).then((data) => {
+        if (cache && data && data.query && data.query.search) {
+          // Only keep what the matchers read, not the whole API response
+          const results = data.query.search;
+          cache.set(cacheKey, { query: { search: results } }, results.length > 0);
+        }
+        return data;
+      });
+    },
+    
+    // Give the top search results the other names of their article, from its
+    // redirects and Wikidata item, as result.variants. They only add to the
+    // title, so a failed request leaves the results as they were.
+    addVariants: function(results, lang) {
+      const options = this.settings.variants;
+      const top = results.slice(0, options.maxCandidates);
+      
+      top.forEach(result => {
+        result.variants = result.redirecttitle ? [result.redirecttitle] : [];
+      });
+      
+      if (!options.enabled || !top.length || (!options.redirects && !options.aliases)) {
+        return Promise.resolve(results);
+      }
+      
+      const params = {
+        action: 'query',
+        titles: top.map(result => result.title).join('|'),
+        redirects: 1,
+        prop: options.redirects ? 'redirects|pageprops' : 'pageprops',
+        rdprop: 'title',
+        rdnamespace: 0,
+        rdlimit: 'max',
+        ppprop: 'wikibase_item',
+        format: 'json',
+        formatversion: 2,
+        origin: '*'
+      };
+      const pages = {};
+      
+      // Redirects beyond rdlimit come in further responses: follow the continuation,
+      // adding each page's redirects up
+      const fetchPages = (continuation) => this.request(this.apiUrlFor(lang), Object.assign({}, params, continuation)).then((data) => {
+        ((data && data.query && data.query.pages) || []).forEach((page) => {
+          const known = pages[page.title] || (pages[page.title] = { title: page.title, redirects: [], pageprops: null });
+          known.redirects = known.redirects.concat(page.redirects || []);
+          known.pageprops = known.pageprops || page.pageprops || null;
+        });
+        return data && data.continue ? fetchPages(data.continue) : pages;
+      });
+      
+      return fetchPages({}).then(() => {
+        const items = {};
+        top.forEach(result => {
+          const page = pages[result.title];
+          if (!page) return;
+          
+          result.variants = result.variants.concat((page.redirects || []).map(redirect => redirect.title));
+          if (page.pageprops && page.pageprops.wikibase_item) items[result.title] = page.pageprops.wikibase_item;
+        });
+        
+        const ids = uniqueValues(Object.keys(items).map(title => items[title]));
+        return options.aliases && ids.length ? this.fetchWikidataNames(ids, lang).then(names => {
+          top.forEach(result => {
+            result.variants = result.variants.concat(names[items[result.title]] || []);
+          });
+        }) : null;
+      }).catch((error) => {
+        this.log.info('Could not load other names of search results:', error);
+      }).then(() => {
+        top.forEach(result => {
+          result.variants = uniqueValues(result.variants).filter(name => name && name !== result.title);
+        });
+        return results;
+      });
+    },
+    
+    // Labels and aliases of Wikidata items in the wiki's language and the fallback languages
+    fetchWikidataNames: function(ids, lang) {
+      const languages = uniqueValues([lang].concat(this.settings.fallbackLanguages));
+      
+      return this.request(this.settings.wikidataApiUrl, {
+        action: 'wbgetentities',
+        ids: ids.join('|'),
+        props: 'labels|aliases',
+        languages: languages.join('|'),
+        format: 'json',
+        origin: '*'
+      }).then((data) => {
+        const names = {};
+        
+        ids.forEach(id => {
+          const entity = data && data.entities && data.entities[id];
+          if (!entity) return;
+          
+          names[id] = [];
+          languages.forEach(language => {
+            if (entity.labels && entity.labels[language]) names[id].push(entity.labels[language].value);
+            ((entity.aliases && entity.aliases[language]) || []).forEach(alias => names[id].push(alias.value));
+          });
+        });
+        return names;
+      });
+    }
+  });
+  
+  // Key of an API request among recorded responses, whatever the parameter order
+  function requestKey(url, params) {
+    return url + '?' + Object.keys(params || {}).sort()
+      .map(key => encodeURIComponent(key) + '=' + encodeURIComponent(params[key]))
+      .join('&');
+  }
+  
+  // GET an API request with the global fetch (browsers, Node 18 and later)
+  function defaultFetch(url, params) {
+    const query = Object.keys(params).map(key => encodeURIComponent(key) + '=' + encodeURIComponent(params[key])).join('&');
+    
+    return fetch(url + (url.indexOf('?') >= 0 ? '&' : '?') + query).then((response) => {
+      if (!response.ok) throw new Error(`HTTP ${response.status} from ${url}`);
+      return response.json();
+    });
+  }
+  
+  // A fetch answering from responses recorded by evaluate(), failing any request
+  // that wasn't recorded
+  function replay(responses) {
+    return (url, params) => {
+      const key = requestKey(url, params);
+      return Object.prototype.hasOwnProperty.call(responses, key) ?
+        Promise.resolve(responses[key]) : Promise.reject(new Error('No recorded response for ' + key));
+    };
+  }
+  
+  // Titles compare as MediaWiki does: underscores are spaces and the first letter is case-insensitive
+  function titleKey(title) {
+    const key = String(title).replace(/_/g, ' ').trim();
+    return key.charAt(0).toUpperCase() + key.slice(1);
+  }
+  
+  // How a decision compares to what was expected for its heading: the title of
+  // its first link, the titles of all its links in order, or null for none. A
+  // link to the wrong article is both a false positive and a false negative.
+  function classify(decision, expected) {
+    const links = Array.isArray(expected) ? decision.links : decision.links.slice(0, 1);
+    const wanted = expected ? [].concat(expected) : [];
+    
+    if (links.length === 0) return wanted.length > 0 ? 'fn' : 'tn';
+    if (wanted.length === 0) return 'fp';
+    return links.length === wanted.length && links.every((title, i) => titleKey(title) === titleKey(wanted[i])) ? 'tp' : 'wrong';
+  }
+  
+  function tally() {
+    return { tp: 0, fp: 0, fn: 0, tn: 0, precision: null, recall: null };
+  }
+  
+  // Run labelled headings through a matcher and measure precision and recall per type.
+  //   headings  heading strings, or { text, type, ids } to skip type detection or
+  //             give authority identifiers
+  //   expected  the title each heading should link to first, a list of all the titles
+  //             it should link to, or null where it shouldn't link; a list in the
+  //             same order or an object keyed by heading
+  //   options   matcher options, plus `responses` from an earlier report to replay
+  //             instead of calling the APIs, or `fetch` to call them another way
+  // Resolves with { types: { name: { tp, fp, fn, tn, precision, recall } }, overall,
+  // results, responses }, where responses holds every API response used so the
+  // run can be replayed. Headings without an expected entry are decided but not counted.
+  function evaluate(headings, expected, options) {
+    const { responses: recorded, fetch: source, ...settings } = options || {};
+    const send = recorded ? replay(recorded) : source || defaultFetch;
+    const responses = {};
+    const matcher = new Matcher(settings, {
+      fetch: (url, params, log) => Promise.resolve(send(url, params, log)).then((data) => {
+        responses[requestKey(url, params)] = data;
+        return data;
+      })
+    });
+    const report = { types: {}, overall: tally(), results: [], responses: responses };
+    
+    // One heading at a time, so the requests made don't depend on timing
+    const run = headings.reduce((chain, heading, i) => chain.then(() => {
+      const text = typeof heading === 'string' ? heading : heading.text;
+      const want = Array.isArray(expected) ? expected[i] : (expected || {})[text];
+      
+      return matcher.decide(text, { type: heading.type, ids: heading.ids }).then((decision) => {
+        const outcome = want === undefined ? null : classify(decision, want);
+        report.results.push(Object.assign({ expected: want === undefined ? null : want, outcome: outcome }, decision));
+        if (!outcome) return;
+        
+        const counts = report.types[decision.type] = report.types[decision.type] || tally();
+        [counts, report.overall].forEach((c) => {
+          if (outcome === 'wrong') {
+            c.fp++;
+            c.fn++;
+          } else {
+            c[outcome]++;
+          }
+        });
+      });
+    }), Promise.resolve());
+    
+    return run.then(() => {
+      Object.keys(report.types).map(name => report.types[name]).concat(report.overall).forEach((c) => {
+        c.precision = c.tp + c.fp > 0 ? c.tp / (c.tp + c.fp) : null;
+        c.recall = c.tp + c.fn > 0 ? c.tp / (c.tp + c.fn) : null;
+      });
+      return report;
+    });
+  }
+  
+  return {
+    version: '0.1-beta',
+    defaults: defaults,
+    types: entityTypes,
+    registerType: registerType,
+    formSubdivisions: FORM_SUBDIVISIONS,
+    periodNames: PERIOD_NAMES,
+    parseOverrides: parseOverrides,
+    overrideKey: overrideKey,
+    Matcher: Matcher,
+    Logger: Logger,
+    LOG_LEVELS: LOG_LEVELS,
+    evaluate: evaluate,
+    replay: replay,
+    requestKey: requestKey,
+    // Heading helpers the jQuery plugin shares
+    detectScript: detectScript,
+    parseName: parseName,
+    foldText: foldText,
+    honorifics: HONORIFICS,
+    parseChronology: parseChronology,
+    periodTitle: periodTitle,
+    parseMeetingQualifier: parseMeetingQualifier,
+    wikidataYear: wikidataYear,
+    uniqueValues: uniqueValues
+  };
+});